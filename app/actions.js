@@ -4,7 +4,7 @@
 // Requires: namespace.js                                                     \\
 // -------------------------------------------------------------------------- \\
 
-/*global JMAP, App */
+/*global O, JMAP, App, alert, confirm */
 
 ( function () {
 
@@ -12,7 +12,9 @@ var NO = 0;
 var TO_THREAD = 1;
 var TO_MAILBOX = 2;
 
-var doAction = function ( storeKeys, expand, action ) {
+// Runs the action on the messages, and adds the changes it makes to the outbox
+// under the label, so they're kept until the server has them.
+var doAction = function ( storeKeys, expand, label, action ) {
     var mailboxMessageList = App.state.get( 'mailboxMessageList' ),
         i, mailboxId, mailbox, actionTheMessages, sequence;
 
@@ -22,12 +24,18 @@ var doAction = function ( storeKeys, expand, action ) {
     if ( !storeKeys || !( storeKeys instanceof Array ) ) {
         storeKeys = App.state.selection.get( 'selectedStoreKeys' );
     }
+    // When listing individual messages, act on just those messages
+    if ( !mailboxMessageList.get( 'collapseThreads' ) ) {
+        expand = NO;
+    }
 
-    mailboxId = mailboxMessageList.get( 'filter' ).inMailbox;
-    mailbox = mailboxId ?
-        JMAP.store.getRecord( null, JMAP.Mailbox, mailboxId ) : null;
+    mailboxId = App.state.getFilterMailboxId(
+        mailboxMessageList.get( 'where' ) );
+    mailbox = mailboxId ? JMAP.store.getRecord(
+        mailboxMessageList.get( 'accountId' ), JMAP.Mailbox, mailboxId ) :
+        null;
     actionTheMessages = function ( callback, messages ) {
-        action( messages );
+        App.outbox.record( label, messages, action );
         // Don't wait for the final batch to commit; anything <50
         // should update UI immediately
         if ( sequence.index < sequence.length ) {
@@ -52,59 +60,300 @@ var doAction = function ( storeKeys, expand, action ) {
     sequence.go();
 };
 
+// Calls fn( messages, accountId ) for the messages of each account, so they
+// can be filed in that account's own role mailboxes.
+var forEachAccount = function ( messages, fn ) {
+    var byAccount = {};
+    messages.forEach( function ( message ) {
+        var accountId = message.get( 'accountId' );
+        ( byAccount[ accountId ] || ( byAccount[ accountId ] = [] ) )
+            .push( message );
+    });
+    Object.keys( byAccount ).forEach( function ( accountId ) {
+        fn( byAccount[ accountId ], accountId );
+    });
+};
+
+// Moves the messages to the destination (removing them from the current
+// mailbox, if given), and remembers it as recently used if any were filed
+// there.
+var fileMessages = function ( messages, destination, current ) {
+    var countIn = function () {
+        return messages.filter( function ( message ) {
+            return message.get( 'mailboxes' ).contains( destination );
+        }).length;
+    };
+    var before = countIn();
+    JMAP.mail.move( messages, destination, current, true );
+    if ( countIn() > before ) {
+        App.recentMailboxes.add( destination );
+    }
+};
+
+// --- Mailboxes ---
+
+var getDescendants = function ( mailbox ) {
+    return mailbox.get( 'subfolders' ).reduce( function ( all, folder ) {
+        return all.concat( folder, getDescendants( folder ) );
+    }, [] );
+};
+
+// Returns a name not already used by a sibling of the new mailbox.
+var getUniqueName = function ( parent, accountId, name ) {
+    var siblings = parent ?
+        parent.get( 'subfolders' ) :
+        JMAP.store.getAll( JMAP.Mailbox, function ( data ) {
+            return data.accountId === accountId && !data.parentId;
+        });
+    var names = siblings.map( function ( mailbox ) {
+        return mailbox.get( 'name' );
+    });
+    var candidate = name;
+    var i = 2;
+    while ( names.includes( candidate ) ) {
+        candidate = name + ' ' + i;
+        i += 1;
+    }
+    return candidate;
+};
+
+// ---
+
 var actions = {
 
     read: function ( storeKeys ) {
-        doAction( storeKeys, TO_THREAD, function ( messages ) {
+        doAction( storeKeys, TO_THREAD, 'Mark as read', function ( messages ) {
             JMAP.mail.setUnread( messages, false, true );
         });
         return this;
     },
 
     unread: function ( storeKeys ) {
-        doAction( storeKeys, TO_THREAD, function ( messages ) {
+        doAction( storeKeys, TO_THREAD, 'Mark as unread',
+        function ( messages ) {
             JMAP.mail.setUnread( messages, true, true );
         });
         return this;
     },
 
     flag: function ( storeKeys ) {
-        doAction( storeKeys, NO, function ( messages ) {
+        doAction( storeKeys, NO, 'Flag', function ( messages ) {
             JMAP.mail.setKeyword( messages, '$flagged', true, true );
         });
         return this;
     },
 
     unflag: function ( storeKeys ) {
-        doAction( storeKeys, TO_THREAD, function ( messages ) {
+        doAction( storeKeys, TO_THREAD, 'Unflag', function ( messages ) {
             JMAP.mail.setKeyword( messages, '$flagged', false, true );
         });
         return this;
     },
 
+    // Flags the conversations unless the first selected one is already
+    // flagged, in which case unflags them.
+    toggleFlag: function ( storeKeys ) {
+        var message, thread;
+        if ( !storeKeys || !( storeKeys instanceof Array ) ) {
+            storeKeys = App.state.selection.get( 'selectedStoreKeys' );
+        }
+        if ( !storeKeys.length ) {
+            return this;
+        }
+        message = JMAP.store.getRecordFromStoreKey( storeKeys[0] );
+        thread = message.get( 'thread' );
+        return ( thread || message ).get( 'isFlagged' ) ?
+            this.unflag( storeKeys ) :
+            this.flag( storeKeys );
+    },
+
     archive: function ( storeKeys ) {
-        doAction( storeKeys, TO_MAILBOX, function ( messages ) {
-            var archive = JMAP.mail.getMailboxForRole( null, 'archive' );
-            var inbox = JMAP.mail.getMailboxForRole( null, 'inbox' );
-            JMAP.mail
-                .setUnread( messages, false, true )
-                .move( messages, archive, inbox, true );
+        doAction( storeKeys, TO_MAILBOX, 'Archive', function ( messages ) {
+            forEachAccount( messages, function ( messages, accountId ) {
+                var archive =
+                        JMAP.mail.getMailboxForRole( accountId, 'archive' );
+                var inbox = JMAP.mail.getMailboxForRole( accountId, 'inbox' );
+                JMAP.mail
+                    .setUnread( messages, false, true )
+                    .move( messages, archive, inbox, true );
+            });
         });
         return this;
     },
 
     deleteToTrash: function ( storeKeys ) {
-        doAction( storeKeys, TO_THREAD, function ( messages ) {
-            JMAP.mail.move( messages,
-                JMAP.mail.getMailboxForRole( null, 'trash' ), 'ALL', true );
+        doAction( storeKeys, TO_THREAD, 'Delete', function ( messages ) {
+            forEachAccount( messages, function ( messages, accountId ) {
+                JMAP.mail.move( messages,
+                    JMAP.mail.getMailboxForRole( accountId, 'trash' ),
+                    'ALL', true );
+            });
+        });
+        return this;
+    },
+
+    // Reports the conversations and moves them to the junk mailbox, if there
+    // is one.
+    reportSpam: function ( storeKeys ) {
+        doAction( storeKeys, TO_THREAD, 'Report spam', function ( messages ) {
+            JMAP.mail.report( messages, true, true );
+            forEachAccount( messages, function ( messages, accountId ) {
+                var junk = JMAP.mail.getMailboxForRole( accountId, 'junk' );
+                if ( junk ) {
+                    JMAP.mail.move( messages, junk, 'ALL', true );
+                }
+            });
+        });
+        return this;
+    },
+
+    // Reports the messages as not spam and returns them to the inbox.
+    reportNotSpam: function ( storeKeys ) {
+        doAction( storeKeys, TO_MAILBOX, 'Not spam', function ( messages ) {
+            JMAP.mail.report( messages, false, true );
+            forEachAccount( messages, function ( messages, accountId ) {
+                JMAP.mail.move( messages,
+                    JMAP.mail.getMailboxForRole( accountId, 'inbox' ),
+                    JMAP.mail.getMailboxForRole( accountId, 'junk' ), true );
+            });
         });
         return this;
     },
 
     move: function ( storeKeys, destination ) {
-        doAction( storeKeys, TO_MAILBOX, function ( messages ) {
-            JMAP.mail.move(
-                messages, destination, App.state.get( 'mailbox' ), true );
+        doAction( storeKeys, TO_MAILBOX, 'Move', function ( messages ) {
+            fileMessages(
+                messages, destination, App.state.get( 'mailbox' ) );
+        });
+        return this;
+    },
+
+    // Adds the destination mailbox without removing the current one.
+    copy: function ( storeKeys, destination ) {
+        doAction( storeKeys, TO_MAILBOX, 'Copy', function ( messages ) {
+            fileMessages( messages, destination, null );
+        });
+        return this;
+    },
+
+    // Called by the mailbox buttons in the "Move to" and "Copy to" menus.
+    moveTo: function ( button ) {
+        return this.move( null, button.get( 'mailbox' ) );
+    },
+
+    copyTo: function ( button ) {
+        return this.copy( null, button.get( 'mailbox' ) );
+    },
+
+    snooze: function ( storeKeys, until ) {
+        var mailbox = App.state.get( 'mailbox' );
+        doAction( storeKeys, TO_MAILBOX, 'Snooze', function ( messages ) {
+            App.snooze.snoozeMessages( messages, until, mailbox );
+        });
+        return this;
+    },
+
+    unsnooze: function ( storeKeys ) {
+        doAction( storeKeys, TO_MAILBOX, 'Unsnooze', function ( messages ) {
+            App.snooze.unsnoozeMessages( messages );
+        });
+        return this;
+    },
+
+    // Called by the buttons in the snooze menu, which have the wake-up time
+    // and (for a single list item) the store keys to act on.
+    snoozeUntil: function ( button ) {
+        return this.snooze( button.get( 'storeKeys' ), button.get( 'until' ) );
+    },
+
+    // --- Mailboxes ---
+
+    createMailbox: function ( parent ) {
+        var accountId, mailbox;
+        // May be called directly from a button
+        if ( !( parent instanceof JMAP.Mailbox ) ) {
+            parent = null;
+        }
+        accountId = parent ?
+            parent.get( 'accountId' ) :
+            JMAP.auth.getAccountId( true, JMAP.auth.MAIL_DATA );
+        mailbox = new JMAP.Mailbox( JMAP.store )
+            .set( 'accountId', accountId )
+            .set( 'name', getUniqueName( parent, accountId, 'New Folder' ) )
+            .set( 'parent', parent || null )
+            .saveToStore();
+        App.state.set( 'editingMailbox', mailbox );
+        return this;
+    },
+
+    renameMailbox: function ( mailbox, name ) {
+        name = name.trim();
+        if ( name && name !== mailbox.get( 'name' ) &&
+                mailbox.get( 'myRights' ).mayRename ) {
+            mailbox.set( 'name', name );
+        }
+        return this;
+    },
+
+    // Mailboxes can't be moved to another account
+    canMoveMailbox: function ( mailbox, destination ) {
+        return mailbox !== destination &&
+            mailbox.get( 'accountId' ) === destination.get( 'accountId' ) &&
+            !getDescendants( mailbox ).includes( destination );
+    },
+
+    // where is 'sub', 'previous' or 'next', as for JMAP.Mailbox#moveTo
+    moveMailbox: function ( mailbox, destination, where ) {
+        if ( this.canMoveMailbox( mailbox, destination ) ) {
+            mailbox.moveTo( destination, where );
+        }
+        return this;
+    },
+
+    deleteMailbox: function ( mailbox ) {
+        var descendants = getDescendants( mailbox );
+        var all = [ mailbox ].concat( descendants );
+        // The server won't delete a mailbox with a role, or one we don't
+        // have the right to, so nor can the folder containing it be deleted.
+        var kept = all.find( function ( folder ) {
+            return !!folder.get( 'role' ) ||
+                !folder.get( 'myRights' ).mayDelete;
+        });
+        var total = all.reduce( function ( sum, folder ) {
+            return sum + folder.get( 'totalEmails' );
+        }, 0 );
+        var question = 'Delete “' + mailbox.get( 'name' ) + '”' +
+            ( descendants.length ? ' ' + O.i18n.localise(
+                '[*2,_1,and its subfolder,and its %n subfolders]',
+                descendants.length ) : '' ) +
+            '?\n\n' +
+            ( total ?
+                O.i18n.localise( '[*2,_1,1 message,%n messages]', total ) +
+                ' will be removed. Any not in another folder will be ' +
+                'permanently deleted.' :
+                'There are no messages in it.' );
+
+        if ( kept ) {
+            alert( '“' + mailbox.get( 'name' ) + '” can’t be deleted' +
+                ( kept !== mailbox ?
+                    ' as it contains “' + kept.get( 'name' ) + '”, which' :
+                    ' as it' ) +
+                ( kept.get( 'role' ) ?
+                    ' is a special folder.' :
+                    ' you don’t have permission to delete.' ) );
+            return this;
+        }
+        if ( !confirm( question ) ) {
+            return this;
+        }
+        if ( all.includes( App.state.get( 'mailbox' ) ) ) {
+            App.state.set( 'mailbox', JMAP.mail.getMailboxForRole(
+                mailbox.get( 'accountId' ), 'inbox' ) );
+        }
+        // A mailbox can't be deleted while it has children, so go deepest
+        // first: each folder comes before all its descendants in the list.
+        all.reverse().forEach( function ( folder ) {
+            folder.destroy();
         });
         return this;
     },
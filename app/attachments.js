@@ -0,0 +1,354 @@
+// -------------------------------------------------------------------------- \\
+// File: attachments.js                                                       \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, URL, Blob, ArrayBuffer, Uint8Array, DataView,
+    TextEncoder, alert */
+
+O.RunLoop.invoke( function () {
+
+// --- Types ---
+
+var getExtension = function ( name ) {
+    var index = name ? name.lastIndexOf( '.' ) : -1;
+    return index > 0 ? name.slice( index + 1 ).toLowerCase() : '';
+};
+
+var TEXT_EXTENSIONS = {
+    txt: true,
+    csv: true,
+    log: true,
+    md: true,
+    json: true,
+    xml: true,
+    ics: true,
+    vcf: true,
+};
+
+// Returns 'image', 'pdf' or 'text' if we can preview the part in the browser,
+// or the empty string if not.
+var getPreviewKind = function ( part ) {
+    var type = part.type;
+    var extension = getExtension( part.name );
+    if ( type === 'application/pdf' || extension === 'pdf' ) {
+        return 'pdf';
+    }
+    if ( /^image\/(?:png|jpe?g|gif|webp|bmp|svg\+xml)$/.test( type ) ) {
+        return 'image';
+    }
+    if ( type.startsWith( 'text/' ) || TEXT_EXTENSIONS[ extension ] ) {
+        return 'text';
+    }
+    return '';
+};
+
+// Short label used as the "icon" for the file type.
+var getTypeLabel = function ( part ) {
+    var extension = getExtension( part.name );
+    if ( extension && extension.length <= 4 ) {
+        return extension.toUpperCase();
+    }
+    return part.type.slice( part.type.indexOf( '/' ) + 1 )
+        .replace( /^x-/, '' ).slice( 0, 4 ).toUpperCase() || 'FILE';
+};
+
+// Broad category, used to colour the type label.
+var getTypeCategory = function ( part ) {
+    var type = part.type;
+    var kind = getPreviewKind( part );
+    if ( kind ) {
+        return kind;
+    }
+    if ( /zip|compressed|tar|rar|7z/.test( type ) ) {
+        return 'archive';
+    }
+    if ( /word|document|rtf/.test( type ) ) {
+        return 'document';
+    }
+    if ( /excel|sheet/.test( type ) ) {
+        return 'spreadsheet';
+    }
+    if ( /powerpoint|presentation/.test( type ) ) {
+        return 'presentation';
+    }
+    if ( type.startsWith( 'audio/' ) || type.startsWith( 'video/' ) ) {
+        return 'media';
+    }
+    return 'other';
+};
+
+var getName = function ( part ) {
+    return part.name || 'attachment';
+};
+
+// Files shown in the attachment strip; inline images are already rendered in
+// the body.
+var getAttachments = function ( message ) {
+    return message.get( 'bodyParts' ).files.filter( function ( part ) {
+        return !part.isInline;
+    });
+};
+
+// --- Download ---
+
+var getUrl = function ( accountId, part ) {
+    return JMAP.auth.getUrlForBlob(
+        accountId, part.blobId, part.type, getName( part ) );
+};
+
+// The download URL needs the Authorization header, so fetch the data with an
+// XHR rather than pointing the browser straight at it.
+var fetchPart = function ( accountId, part, responseType, callback ) {
+    new O.HttpRequest({
+        url: getUrl( accountId, part ),
+        headers: {
+            'Authorization': JMAP.auth.get( 'accessToken' ),
+        },
+        responseType: responseType,
+        onSuccess: function ( event ) {
+            callback( event.data );
+        }.on( 'io:success' ),
+        onFailure: function ( event ) {
+            if ( event.status === 401 ) {
+                JMAP.auth.didLoseAuthentication();
+            }
+            callback( null );
+        }.on( 'io:failure' ),
+    }).send();
+};
+
+var saveBlob = function ( blob, name ) {
+    var url = URL.createObjectURL( blob );
+    var link = O.Element.create( 'a', {
+        href: url,
+        download: name,
+    });
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+    O.RunLoop.invokeAfterDelay( function () {
+        URL.revokeObjectURL( url );
+    }, 10000 );
+};
+
+// --- Zip ---
+
+// JMAP has no standard way to bundle blobs, so build an uncompressed zip
+// archive in the browser.
+
+var CRC_TABLE = ( function () {
+    var table = [];
+    var n, k, c;
+    for ( n = 0; n < 256; n += 1 ) {
+        c = n;
+        for ( k = 0; k < 8; k += 1 ) {
+            c = ( c & 1 ) ? ( 0xedb88320 ^ ( c >>> 1 ) ) : ( c >>> 1 );
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+}() );
+
+var crc32 = function ( bytes ) {
+    var crc = 0xffffffff;
+    var i, l;
+    for ( i = 0, l = bytes.length; i < l; i += 1 ) {
+        crc = CRC_TABLE[ ( crc ^ bytes[i] ) & 0xff ] ^ ( crc >>> 8 );
+    }
+    return ( crc ^ 0xffffffff ) >>> 0;
+};
+
+// fields is an array of [ byteLength, value ] pairs, written little-endian.
+var makeHeader = function ( size, fields ) {
+    var buffer = new ArrayBuffer( size );
+    var view = new DataView( buffer );
+    var offset = 0;
+    fields.forEach( function ( field ) {
+        if ( field[0] === 4 ) {
+            view.setUint32( offset, field[1], true );
+        } else {
+            view.setUint16( offset, field[1], true );
+        }
+        offset += field[0];
+    });
+    return new Uint8Array( buffer );
+};
+
+// files is an array of { name: String, data: ArrayBuffer }
+var makeZip = function ( files ) {
+    var chunks = [];
+    var central = [];
+    var offset = 0;
+    var centralSize = 0;
+    var now = new Date();
+    var time = ( now.getHours() << 11 ) | ( now.getMinutes() << 5 ) |
+        ( now.getSeconds() >> 1 );
+    var date = ( ( now.getFullYear() - 1980 ) << 9 ) |
+        ( ( now.getMonth() + 1 ) << 5 ) | now.getDate();
+    var usedNames = {};
+    var encoder = new TextEncoder();
+
+    files.forEach( function ( file ) {
+        var data = new Uint8Array( file.data );
+        var name = file.name;
+        var count = usedNames[ name ] || 0;
+        usedNames[ name ] = count + 1;
+        if ( count ) {
+            name = name.replace( /(\.[^.]*)?$/, ' (' + count + ')$1' );
+        }
+        var nameBytes = encoder.encode( name );
+        var crc = crc32( data );
+        // Flag 0x0800: file name is UTF-8
+        var local = makeHeader( 30, [
+            [ 4, 0x04034b50 ], [ 2, 20 ], [ 2, 0x0800 ], [ 2, 0 ],
+            [ 2, time ], [ 2, date ], [ 4, crc ],
+            [ 4, data.length ], [ 4, data.length ],
+            [ 2, nameBytes.length ], [ 2, 0 ],
+        ]);
+        var entry = makeHeader( 46, [
+            [ 4, 0x02014b50 ], [ 2, 20 ], [ 2, 20 ], [ 2, 0x0800 ], [ 2, 0 ],
+            [ 2, time ], [ 2, date ], [ 4, crc ],
+            [ 4, data.length ], [ 4, data.length ],
+            [ 2, nameBytes.length ], [ 2, 0 ], [ 2, 0 ], [ 2, 0 ], [ 2, 0 ],
+            [ 4, 0 ], [ 4, offset ],
+        ]);
+        chunks.push( local, nameBytes, data );
+        central.push( entry, nameBytes );
+        offset += local.length + nameBytes.length + data.length;
+        centralSize += entry.length + nameBytes.length;
+    });
+
+    var end = makeHeader( 22, [
+        [ 4, 0x06054b50 ], [ 2, 0 ], [ 2, 0 ],
+        [ 2, files.length ], [ 2, files.length ],
+        [ 4, centralSize ], [ 4, offset ], [ 2, 0 ],
+    ]);
+
+    return new Blob( chunks.concat( central, end ), {
+        type: 'application/zip',
+    });
+};
+
+// --- Controller ---
+
+App.attachments = new O.Object({
+
+    // The part currently being previewed
+    part: null,
+    accountId: null,
+    kind: '',
+    url: '',
+    text: '',
+    isLoading: false,
+
+    isZipping: false,
+
+    getFiles: getAttachments,
+    getTypeLabel: getTypeLabel,
+    getTypeCategory: getTypeCategory,
+    getPreviewKind: getPreviewKind,
+
+    name: function () {
+        var part = this.get( 'part' );
+        return part ? getName( part ) : '';
+    }.property( 'part' ),
+
+    size: function () {
+        var part = this.get( 'part' );
+        return part ? O.i18n.fileSize( part.size ) : '';
+    }.property( 'part' ),
+
+    preview: function ( message, part ) {
+        var accountId = message.get( 'accountId' );
+        var kind = getPreviewKind( part );
+        this.close();
+        this.beginPropertyChanges()
+            .set( 'accountId', accountId )
+            .set( 'part', part )
+            .set( 'kind', kind )
+            .set( 'isLoading', true )
+            .endPropertyChanges();
+        fetchPart( accountId, part, kind === 'text' ? 'text' : 'blob',
+        function ( data ) {
+            // Ignore if closed or moved on to another attachment
+            if ( this.get( 'part' ) !== part ) {
+                return;
+            }
+            if ( data === null ) {
+                this.set( 'kind', 'text' )
+                    .set( 'text', 'The attachment could not be loaded.' );
+            } else if ( kind === 'text' ) {
+                this.set( 'text', data );
+            } else {
+                this.set( 'url', URL.createObjectURL(
+                    new Blob([ data ], { type: part.type }) ) );
+            }
+            this.set( 'isLoading', false );
+        }.bind( this ));
+    },
+
+    close: function () {
+        var url = this.get( 'url' );
+        if ( url ) {
+            URL.revokeObjectURL( url );
+        }
+        this.beginPropertyChanges()
+            .set( 'part', null )
+            .set( 'kind', '' )
+            .set( 'url', '' )
+            .set( 'text', '' )
+            .set( 'isLoading', false )
+            .endPropertyChanges();
+    },
+
+    download: function ( accountId, part ) {
+        fetchPart( accountId, part, 'blob',
+        function ( data ) {
+            if ( data === null ) {
+                alert( 'The attachment could not be downloaded.' );
+            } else {
+                saveBlob( data, getName( part ) );
+            }
+        });
+    },
+
+    downloadAll: function ( message ) {
+        var accountId = message.get( 'accountId' );
+        var parts = getAttachments( message );
+        var files = [];
+        var remaining = parts.length;
+        var failed = false;
+        var name = ( message.get( 'subject' ) || '' )
+            .replace( /[\\/:*?"<>|]+/g, '' ).trim().slice( 0, 64 ) ||
+            'attachments';
+        if ( !remaining || this.get( 'isZipping' ) ) {
+            return;
+        }
+        this.set( 'isZipping', true );
+        parts.forEach( function ( part, index ) {
+            fetchPart( accountId, part, 'arraybuffer', function ( data ) {
+                if ( data === null ) {
+                    failed = true;
+                } else {
+                    files[ index ] = {
+                        name: getName( part ),
+                        data: data,
+                    };
+                }
+                remaining -= 1;
+                if ( !remaining ) {
+                    this.set( 'isZipping', false );
+                    if ( failed ) {
+                        alert( 'Some attachments could not be downloaded.' );
+                    } else {
+                        saveBlob( makeZip( files ), name + '.zip' );
+                    }
+                }
+            }.bind( this ));
+        }, this );
+    },
+});
+
+});
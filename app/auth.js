@@ -0,0 +1,727 @@
+// -------------------------------------------------------------------------- \\
+// File: auth.js                                                              \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js                                           \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, URL, URLSearchParams, TextEncoder, btoa, crypto,
+    history, location, localStorage, sessionStorage */
+
+O.RunLoop.invoke( function () {
+
+var credentials = App.credentials;
+
+// The OAuth tokens for the current login, only kept after the browser is
+// closed if "Remember me" is ticked. With Basic auth, the credential is just
+// the encoded username and password, so it is only ever held in memory and the
+// password is asked for again after a reload.
+var SESSION_DEFAULTS = {
+    accessToken: '',
+    refreshToken: '',
+    expiresAt: 0,
+    tokenEndpoint: '',
+};
+var sessions = {
+    remembered: new O.LocalStorage( 'session', false, SESSION_DEFAULTS ),
+    tab: new O.LocalStorage( 'session', true, SESSION_DEFAULTS ),
+};
+
+var getSession = function () {
+    return credentials.get( 'rememberMe' ) ? sessions.remembered : sessions.tab;
+};
+
+// Earlier versions stored the password in the clear
+try {
+    localStorage.removeItem( 'credentials.password' );
+} catch ( error ) {}
+
+// Where an authorization request is kept while the browser is away at the
+// authorization server.
+var PENDING_KEY = 'oauthRequest';
+
+// Refresh the access token this long before it expires (ms)
+var REFRESH_MARGIN = 60000;
+
+// How long to wait after the session URL is edited before looking up how to
+// log in to it (ms)
+var DISCOVER_DELAY = 500;
+
+// Where SRV records are looked up, with the name and type appended
+var SRV_LOOKUP_URL = 'https://dns.google/resolve?name=';
+
+// --- PKCE (RFC 7636) ---
+
+var base64url = function ( bytes ) {
+    return btoa( String.fromCharCode.apply( null, new Uint8Array( bytes ) ) )
+        .replace( /\+/g, '-' )
+        .replace( /\//g, '_' )
+        .replace( /=+$/, '' );
+};
+
+var makeRandomString = function () {
+    return base64url( crypto.getRandomValues( new Uint8Array( 32 ) ) );
+};
+
+// Returns a promise for the S256 challenge for the code verifier.
+// Web Crypto is only available when the page is served over https (or from
+// localhost), so this may reject.
+var makeCodeChallenge = function ( verifier ) {
+    if ( !crypto.subtle ) {
+        return Promise.reject( new Error( 'Web Crypto is unavailable' ) );
+    }
+    return crypto.subtle.digest( 'SHA-256',
+        new TextEncoder().encode( verifier ) ).then( base64url );
+};
+
+// --- Finding the server ---
+
+var EMAIL = /^[^@\s]+@([^@\s]+\.[^@\s]+)$/;
+
+// Calls back with true if there's a JMAP server at the URL, or false and why
+// not. Without credentials, the session resource should ask for them.
+var probe = function ( url, callback ) {
+    new O.HttpRequest({
+        url: url,
+        timeout: 15000,
+        onSuccess: function () {
+            callback( true, '' );
+        }.on( 'io:success' ),
+        onFailure: function ( event ) {
+            var status = event.status;
+            callback( status === 401,
+                !status ? 'no response' :
+                status === 404 ? 'not found' :
+                'HTTP status ' + status );
+        }.on( 'io:failure' ),
+        onTimeout: function () {
+            callback( false, 'timed out' );
+        }.on( 'io:timeout' ),
+    }).send();
+};
+
+// Returns the session URL from the best record in a DNS-over-HTTPS response
+// for a _jmap._tcp SRV lookup (RFC 8620, section 2.2), or '' if there isn't
+// one. Each record's data is "priority weight port target".
+var getUrlFromSrv = function ( response ) {
+    var records = ( response && response.Answer || [] ).filter(
+    function ( answer ) {
+        return answer.type === 33;
+    }).map( function ( answer ) {
+        var parts = answer.data.split( ' ' );
+        return {
+            priority: parseInt( parts[0], 10 ),
+            weight: parseInt( parts[1], 10 ),
+            port: parseInt( parts[2], 10 ),
+            target: parts[3].replace( /\.$/, '' ),
+        };
+    }).filter( function ( record ) {
+        // A target of "." means there is explicitly no service
+        return !!record.target;
+    }).sort( function ( a, b ) {
+        return ( a.priority - b.priority ) || ( b.weight - a.weight );
+    });
+    var record = records[0];
+    return record ?
+        'https://' + record.target +
+            ( record.port === 443 ? '' : ':' + record.port ) +
+            '/.well-known/jmap' :
+        '';
+};
+
+// Calls back with the session URL for the domain and how it was found, or ''
+// and why each way of finding it failed. Tries the well-known URL on the
+// domain, then on a jmap. subdomain, and only then its SRV record: browsers
+// can't look these up themselves, so this uses a public DNS-over-HTTPS
+// resolver, which is only told the domain if there's no other way.
+var findSessionUrl = function ( domain, callback ) {
+    var reasons = [];
+    var tryUrl = function ( url, how, next ) {
+        probe( url, function ( isFound, reason ) {
+            if ( isFound ) {
+                callback( url, how, reasons );
+            } else {
+                reasons.push( url + ': ' + reason );
+                next();
+            }
+        });
+    };
+    var fail = function () {
+        callback( '', '', reasons );
+    };
+    var trySrv = function () {
+        getJSON( SRV_LOOKUP_URL +
+            encodeURIComponent( '_jmap._tcp.' + domain ) + '&type=SRV',
+        function ( response ) {
+            var url = getUrlFromSrv( response );
+            if ( url ) {
+                tryUrl( url, 'the DNS SRV record for ' + domain, fail );
+            } else {
+                reasons.push( response ?
+                    'no _jmap._tcp.' + domain + ' SRV record' :
+                    'the DNS lookup for its SRV record failed' );
+                fail();
+            }
+        });
+    };
+    var tryJmapSubdomain = function () {
+        tryUrl( 'https://jmap.' + domain + '/.well-known/jmap',
+            'the jmap.' + domain + ' server', trySrv );
+    };
+    tryUrl( 'https://' + domain + '/.well-known/jmap', domain,
+        tryJmapSubdomain );
+};
+
+// --- Discovery ---
+
+// Metadata about a server is found by putting the well-known suffix between
+// the origin and path of its identifier (RFC 8414, RFC 9728).
+var getWellKnownUrl = function ( identifier, suffix ) {
+    var url = new URL( identifier );
+    return url.origin + '/.well-known/' + suffix +
+        ( url.pathname === '/' ? '' : url.pathname );
+};
+
+var getJSON = function ( url, callback ) {
+    new O.HttpRequest({
+        url: url,
+        timeout: 30000,
+        responseType: 'json',
+        onSuccess: function ( event ) {
+            callback( event.data || null );
+        }.on( 'io:success' ),
+        onFailure: function () {
+            callback( null );
+        }.on( 'io:failure', 'io:timeout' ),
+    }).send();
+};
+
+// Calls back with the metadata of the authorization server for the JMAP
+// session, or null if it doesn't advertise one. The session resource's
+// metadata names the authorization server; failing that, try its origin.
+var discover = function ( server, callback ) {
+    var isUsable = function ( metadata ) {
+        var methods = metadata && metadata.code_challenge_methods_supported;
+        return !!metadata &&
+            !!metadata.authorization_endpoint &&
+            !!metadata.token_endpoint &&
+            ( !methods || methods.includes( 'S256' ) );
+    };
+    var getMetadata = function ( issuer ) {
+        getJSON( getWellKnownUrl( issuer, 'oauth-authorization-server' ),
+        function ( metadata ) {
+            callback( isUsable( metadata ) ? metadata : null );
+        });
+    };
+    getJSON( getWellKnownUrl( server, 'oauth-protected-resource' ),
+    function ( resource ) {
+        var servers = resource && resource.authorization_servers;
+        getMetadata( servers && servers[0] || new URL( server ).origin );
+    });
+};
+
+// ---
+
+App.auth = new O.Object({
+
+    // How to log in to the server: '' until discovered, then 'oauth' or
+    // 'basic'
+    method: '',
+    metadata: null,
+    isDiscovering: false,
+    isRequestingToken: false,
+    error: '',
+
+    // Finding the session URL from the email address: whether it's in
+    // progress, and where it was found
+    isFindingServer: false,
+    serverInfo: '',
+
+    // Whether the session URL is being entered directly, rather than found
+    // from the email address. Anyone who logged in before addresses were
+    // looked up carries on with the URL they used.
+    isEnteringUrl: !credentials.get( 'email' ) &&
+        !!credentials.get( 'username' ),
+
+    // Entered on the login screen; only kept until it's been turned into a
+    // token.
+    password: '',
+
+    // Whether a login this session has been rejected, so the user needs to
+    // log in again to carry on.
+    isExpired: false,
+
+    _discoverTimer: null,
+    _findTimer: null,
+    _refreshTimer: null,
+
+    // Whether the session URL is the one for the email address. Only editing
+    // the address changes this, so a URL found before a reload still counts.
+    _hasFoundServer: !!credentials.get( 'email' ),
+
+    loginLabel: function () {
+        return this.get( 'isFindingServer' ) ? 'Finding server…' :
+            this.get( 'isDiscovering' ) ? 'Checking server…' :
+            this.get( 'isRequestingToken' ) ? 'Signing in…' :
+            this.get( 'method' ) === 'oauth' ? 'Sign in' :
+            'Log in';
+    }.property( 'isFindingServer', 'isDiscovering', 'isRequestingToken',
+        'method' ),
+
+    isLookingUp: function () {
+        return this.get( 'isFindingServer' ) || this.get( 'isDiscovering' );
+    }.property( 'isFindingServer', 'isDiscovering' ),
+
+    // --- Finding the server ---
+
+    emailDidChange: function () {
+        O.RunLoop.cancel( this._findTimer );
+        this._hasFoundServer = false;
+        if ( !this.get( 'isEnteringUrl' ) ) {
+            this._findTimer = O.RunLoop.invokeAfterDelay(
+                this.findServer, DISCOVER_DELAY, this );
+            this.set( 'method', '' )
+                .set( 'serverInfo', '' )
+                .set( 'error', '' );
+        }
+        return this;
+    },
+
+    toggleEnteringUrl: function () {
+        this.toggle( 'isEnteringUrl' )
+            .set( 'serverInfo', '' )
+            .set( 'error', '' );
+        return this.get( 'isEnteringUrl' ) ?
+            this.discover( false ) :
+            this.emailDidChange();
+    },
+
+    // Looks up the session URL for the domain of the email address, then
+    // logs in if loginAfter is true.
+    findServer: function ( loginAfter ) {
+        var email = credentials.get( 'email' ).trim();
+        var match = EMAIL.exec( email );
+        var domain = match && match[1].toLowerCase();
+        O.RunLoop.cancel( this._findTimer );
+        if ( !domain ) {
+            return this.set( 'isFindingServer', false )
+                .set( 'error', email || loginAfter === true ?
+                'Enter your full email address.' : '' );
+        }
+        this.set( 'isFindingServer', true )
+            .set( 'error', '' );
+        findSessionUrl( domain, function ( url, how, reasons ) {
+            // Ignore the answer if the address has been edited since
+            if ( email !== credentials.get( 'email' ).trim() ) {
+                return;
+            }
+            this.set( 'isFindingServer', false );
+            if ( !url ) {
+                this.set( 'error', 'Couldn’t find a JMAP server for ' +
+                    domain + ' (' + reasons.join( '; ' ) + '). ' +
+                    'Enter its Session URL instead.' );
+                return;
+            }
+            this._hasFoundServer = true;
+            this.set( 'serverInfo', 'Found ' + url + ' via ' + how + '.' );
+            credentials.set( 'username', email );
+            if ( url !== credentials.get( 'server' ) ) {
+                // Look up how to log in straight away
+                credentials.set( 'server', url );
+            }
+            this.discover( loginAfter );
+        }.bind( this ) );
+        return this;
+    },
+
+    // --- Discovery ---
+
+    serverDidChange: function () {
+        O.RunLoop.cancel( this._discoverTimer );
+        this._discoverTimer = O.RunLoop.invokeAfterDelay(
+            this.discover, DISCOVER_DELAY, this );
+        return this.set( 'method', '' )
+            .set( 'metadata', null )
+            .set( 'error', '' );
+    },
+
+    // Finds out how to log in to the server, then logs in if loginAfter is
+    // true.
+    discover: function ( loginAfter ) {
+        var server = credentials.get( 'server' );
+        O.RunLoop.cancel( this._discoverTimer );
+        try {
+            new URL( server );
+        } catch ( error ) {
+            return this.set( 'isDiscovering', false )
+                .set( 'error', 'Enter the full JMAP Session URL.' );
+        }
+        this.set( 'isDiscovering', true );
+        discover( server, function ( metadata ) {
+            // Ignore the answer if the URL has been edited since
+            if ( server !== credentials.get( 'server' ) ) {
+                return;
+            }
+            this.beginPropertyChanges()
+                .set( 'isDiscovering', false )
+                .set( 'metadata', metadata )
+                .set( 'method', metadata ? 'oauth' : 'basic' )
+                .endPropertyChanges();
+            if ( loginAfter === true ) {
+                this.login();
+            }
+        }.bind( this ) );
+        return this;
+    },
+
+    // --- Logging in ---
+
+    login: function () {
+        var method = this.get( 'method' );
+        var accessToken;
+        if ( this.get( 'isDiscovering' ) || this.get( 'isFindingServer' ) ) {
+            return this;
+        }
+        if ( !this.get( 'isEnteringUrl' ) && !this._hasFoundServer ) {
+            return this.findServer( true );
+        }
+        if ( !method || ( method === 'oauth' && !this.get( 'metadata' ) ) ) {
+            return this.discover( true );
+        }
+        this.set( 'error', '' );
+        if ( method === 'oauth' ) {
+            return this.authorize();
+        }
+        accessToken = 'Basic ' + btoa(
+            credentials.get( 'username' ) + ':' + this.get( 'password' ) );
+        credentials.set( 'rememberMe', false );
+        return this.clearTokens()
+            .set( 'password', '' )
+            .useToken( accessToken );
+    },
+
+    // Logs in with the token stored last time, if there is one.
+    restore: function () {
+        var session = getSession();
+        var accessToken = session.get( 'accessToken' );
+        var expiresAt = session.get( 'expiresAt' );
+        if ( this.resumeAuthorization() ) {
+            return this;
+        }
+        // Earlier versions stored the Basic credential too
+        if ( accessToken.startsWith( 'Basic ' ) ) {
+            this.clearTokens();
+            accessToken = '';
+        }
+        if ( !accessToken ) {
+            return this.discover( false );
+        }
+        this.set( 'method', 'oauth' );
+        if ( expiresAt && expiresAt - REFRESH_MARGIN < Date.now() ) {
+            return this.refresh();
+        }
+        this.scheduleRefresh();
+        return this.useCachedSession();
+    },
+
+    // Starts with the session saved last time, so the cached mail shows
+    // straight away, even if the server can't be reached. The session is
+    // fetched again when a response says it has changed since.
+    useCachedSession: function () {
+        var server = credentials.get( 'server' );
+        App.cache.restoreSession( server, function ( session ) {
+            if ( !session || JMAP.auth.get( 'authenticationUrl' ) ) {
+                this.useToken();
+                return;
+            }
+            JMAP.auth
+                .set( 'authenticationUrl', server )
+                .set( 'accessToken', getSession().get( 'accessToken' ) )
+                .didAuthenticate( session );
+        }.bind( this ) );
+        return this;
+    },
+
+    // Forgets the login and the cached mail and reloads, which also throws
+    // away everything held in memory, including the store.
+    logout: function () {
+        this.clearTokens()
+            .set( 'password', '' );
+        App.recentMailboxes.set( 'ids', [] );
+        App.outbox.clear();
+        JMAP.store.discardChanges();
+        App.cache.clear( function () {
+            location.replace( App.state.get( 'baseUrl' ) );
+        });
+        return this;
+    },
+
+    rememberMeDidChange: function ( _, __, wasRemembered ) {
+        var from = wasRemembered ? sessions.remembered : sessions.tab;
+        var to = getSession();
+        Object.keys( SESSION_DEFAULTS ).forEach( function ( key ) {
+            to.set( key, from.get( key ) );
+            from.set( key, SESSION_DEFAULTS[ key ] );
+        });
+    },
+
+    // --- OAuth authorization code flow ---
+
+    // Sends the browser to the authorization server, which will redirect back
+    // here with a code to exchange for tokens. The mailbox and message being
+    // viewed are restored when it comes back.
+    authorize: function () {
+        var metadata = this.get( 'metadata' );
+        var endpoint = metadata.authorization_endpoint;
+        var verifier = makeRandomString();
+        var state = makeRandomString();
+        var redirectUri = App.state.get( 'baseUrl' );
+        var scopes = ( metadata.scopes_supported || [] ).filter(
+        function ( scope ) {
+            return scope.startsWith( 'urn:ietf:params:jmap:' );
+        });
+        sessionStorage.setItem( PENDING_KEY, JSON.stringify({
+            state: state,
+            verifier: verifier,
+            redirectUri: redirectUri,
+            tokenEndpoint: metadata.token_endpoint,
+            mailboxId: App.state.getFromPath( 'mailbox.id' ) || '',
+            emailId: App.state.get( 'emailId' ),
+        }));
+        makeCodeChallenge( verifier ).then( function ( challenge ) {
+            var params = new URLSearchParams({
+                response_type: 'code',
+                client_id: credentials.get( 'clientId' ),
+                redirect_uri: redirectUri,
+                code_challenge: challenge,
+                code_challenge_method: 'S256',
+                state: state,
+            });
+            if ( scopes.length ) {
+                params.set( 'scope', scopes.join( ' ' ) );
+            }
+            location.assign( endpoint +
+                ( endpoint.contains( '?' ) ? '&' : '?' ) + params );
+        }).catch( function () {
+            sessionStorage.removeItem( PENDING_KEY );
+            this.set( 'isRequestingToken', false )
+                .set( 'error', crypto.subtle ?
+                    'Sign in couldn’t be started.' :
+                    'Signing in needs this page to be served over https.' );
+        }.bind( this ).invokeInRunLoop() );
+        return this.set( 'isRequestingToken', true );
+    },
+
+    // Completes the authorization if this page load is the redirect back from
+    // the authorization server. Returns whether it was.
+    resumeAuthorization: function () {
+        var params = new URLSearchParams( location.search );
+        var pending = sessionStorage.getItem( PENDING_KEY );
+        if ( !pending || !( params.has( 'code' ) || params.has( 'error' ) ) ) {
+            return false;
+        }
+        pending = JSON.parse( pending );
+        sessionStorage.removeItem( PENDING_KEY );
+        // Don't leave the code in the address bar or history
+        history.replaceState( null, '', pending.redirectUri );
+
+        this.set( 'method', 'oauth' );
+        App.state.set( 'initialMailboxId', pending.mailboxId )
+            .set( 'emailId', pending.emailId );
+        if ( params.get( 'state' ) !== pending.state ) {
+            this.set( 'error', 'The sign in response didn’t match the ' +
+                'request. Please try again.' );
+        } else if ( params.has( 'error' ) ) {
+            this.set( 'error', 'Sign in failed: ' +
+                ( params.get( 'error_description' ) ||
+                    params.get( 'error' ) ) );
+        } else {
+            getSession().set( 'tokenEndpoint', pending.tokenEndpoint );
+            this.requestToken({
+                grant_type: 'authorization_code',
+                code: params.get( 'code' ),
+                redirect_uri: pending.redirectUri,
+                client_id: credentials.get( 'clientId' ),
+                code_verifier: pending.verifier,
+            });
+        }
+        return true;
+    },
+
+    refresh: function () {
+        var refreshToken = getSession().get( 'refreshToken' );
+        if ( !refreshToken ) {
+            this.clearTokens();
+            return this.discover( false );
+        }
+        if ( !this.get( 'isRequestingToken' ) ) {
+            this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken,
+                client_id: credentials.get( 'clientId' ),
+            });
+        }
+        return this;
+    },
+
+    scheduleRefresh: function () {
+        var session = getSession();
+        var expiresAt = session.get( 'expiresAt' );
+        O.RunLoop.cancel( this._refreshTimer );
+        this._refreshTimer = expiresAt && session.get( 'refreshToken' ) ?
+            O.RunLoop.invokeAfterDelay( this.refresh,
+                Math.max( 0, expiresAt - REFRESH_MARGIN - Date.now() ),
+                this ) :
+            null;
+        return this;
+    },
+
+    requestToken: function ( params ) {
+        var auth = this;
+        this.set( 'isRequestingToken', true );
+        new O.HttpRequest({
+            method: 'POST',
+            url: getSession().get( 'tokenEndpoint' ),
+            data: new URLSearchParams( params ).toString(),
+            timeout: 30000,
+            responseType: 'json',
+            onSuccess: function ( event ) {
+                auth.didReceiveToken( event.data );
+            }.on( 'io:success' ),
+            onFailure: function ( event ) {
+                auth.didFailToGetToken( event.data );
+            }.on( 'io:failure', 'io:timeout' ),
+        }).send();
+        return this;
+    },
+
+    didReceiveToken: function ( data ) {
+        var session = getSession();
+        var expiresIn = data && data.expires_in;
+        if ( !data || !data.access_token ) {
+            return this.didFailToGetToken( data );
+        }
+        this.set( 'isRequestingToken', false );
+        session
+            .set( 'accessToken', 'Bearer ' + data.access_token )
+            .set( 'refreshToken',
+                data.refresh_token || session.get( 'refreshToken' ) )
+            .set( 'expiresAt',
+                expiresIn ? Date.now() + expiresIn * 1000 : 0 );
+        return this.scheduleRefresh()
+            .useToken();
+    },
+
+    didFailToGetToken: function ( data ) {
+        this.set( 'isRequestingToken', false )
+            .set( 'error', 'Sign in failed: ' + ( data &&
+                ( data.error_description || data.error ) ||
+                'the authorization server could not be reached.' ) )
+            .set( 'isExpired', !!JMAP.auth.get( 'authenticationUrl' ) &&
+                !JMAP.auth.get( 'isAuthenticated' ) )
+            .clearTokens();
+        return this.discover( false );
+    },
+
+    // Once the session has been fetched, a new token just replaces the old
+    // one, and anything rejected with the old one is sent again. The Basic
+    // credential is passed in, as it isn't stored.
+    useToken: function ( accessToken ) {
+        accessToken = accessToken || getSession().get( 'accessToken' );
+        if ( JMAP.auth.get( 'authenticationUrl' ) ) {
+            JMAP.auth.set( 'accessToken', accessToken );
+            if ( !JMAP.auth.get( 'isAuthenticated' ) ) {
+                JMAP.auth.didAuthenticate( {} );
+            }
+        } else {
+            this.fetchSession( accessToken );
+        }
+        return this;
+    },
+
+    // Fetches the session resource with the token and logs in with it. If it
+    // can't be fetched, says why, so the user can try again.
+    fetchSession: function ( accessToken ) {
+        var auth = this;
+        var server = credentials.get( 'server' );
+        if ( this.get( 'isRequestingToken' ) ) {
+            return this;
+        }
+        this.set( 'isRequestingToken', true );
+        new O.HttpRequest({
+            url: server,
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': accessToken,
+            },
+            timeout: 45000,
+            responseType: 'json',
+            onSuccess: function ( event ) {
+                auth.set( 'isRequestingToken', false );
+                JMAP.auth
+                    .set( 'authenticationUrl', server )
+                    .set( 'accessToken', accessToken )
+                    .didAuthenticate( event.data );
+            }.on( 'io:success' ),
+            onFailure: function ( event ) {
+                var status = event.status;
+                var isRejected = status === 401 || status === 403;
+                auth.didFailToFetchSession( isRejected ?
+                    auth.get( 'method' ) === 'basic' ?
+                        'Wrong username or password.' :
+                        'Sign in failed: the server didn’t accept the login.' :
+                    'Couldn’t fetch the session (' + ( status ?
+                        'HTTP status ' + status : 'no response' ) + ').',
+                    isRejected );
+            }.on( 'io:failure' ),
+            onTimeout: function () {
+                auth.didFailToFetchSession(
+                    'Couldn’t fetch the session (timed out).', false );
+            }.on( 'io:timeout' ),
+        }).send();
+        return this;
+    },
+
+    // A rejected token is forgotten, so the user has to log in again.
+    didFailToFetchSession: function ( error, isRejected ) {
+        this.set( 'isRequestingToken', false )
+            .set( 'error', error );
+        if ( isRejected ) {
+            this.clearTokens();
+        }
+        return this;
+    },
+
+    clearTokens: function () {
+        O.RunLoop.cancel( this._refreshTimer );
+        this._refreshTimer = null;
+        [ sessions.remembered, sessions.tab ].forEach( function ( session ) {
+            Object.keys( SESSION_DEFAULTS ).forEach( function ( key ) {
+                session.set( key, SESSION_DEFAULTS[ key ] );
+            });
+        });
+        return this;
+    },
+
+    // A request was rejected, so the token has expired or been revoked. Get a
+    // new one if we can; otherwise ask the user to log in again over the top
+    // of the mail view, so the mailbox and selection are kept.
+    authenticationDidChange: function () {
+        var hadSession = !!JMAP.auth.get( 'authenticationUrl' );
+        if ( JMAP.auth.get( 'isAuthenticated' ) ) {
+            return this.set( 'isExpired', false );
+        }
+        if ( getSession().get( 'refreshToken' ) ) {
+            return this.refresh();
+        }
+        return this.set( 'isExpired', hadSession );
+    },
+});
+credentials.addObserverForKey( 'email', App.auth, 'emailDidChange' );
+credentials.addObserverForKey( 'server', App.auth, 'serverDidChange' );
+credentials.addObserverForKey( 'rememberMe', App.auth, 'rememberMeDidChange' );
+JMAP.auth.addObserverForKey(
+    'isAuthenticated', App.auth, 'authenticationDidChange' );
+
+App.auth.restore();
+
+});
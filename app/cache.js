@@ -0,0 +1,448 @@
+// -------------------------------------------------------------------------- \\
+// File: cache.js                                                             \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js                                           \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, indexedDB */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var Mailbox = JMAP.Mailbox;
+var Thread = JMAP.Thread;
+var Message = JMAP.Message;
+var MessageList = JMAP.MessageList;
+
+var Status = O.Status;
+var READY = Status.READY;
+var UNSAVED = Status.NEW | Status.DIRTY | Status.COMMITTING |
+        Status.DESTROYED;
+// The saved type states already count any changes these records are missing,
+// so they would never be fetched again if kept.
+var STALE = Status.OBSOLETE | Status.LOADING;
+
+var DB_NAME = 'jmapCache';
+var DB_VERSION = 2;
+var OBJECT_STORES = [ 'records', 'states', 'queries', 'session' ];
+
+// The parts of the JMAP session kept, so the cache can be shown before the
+// session has been fetched again, or when the server can't be reached.
+var SESSION_KEYS = [
+    'username', 'accounts', 'primaryAccounts', 'capabilities', 'state',
+    'apiUrl', 'downloadUrl', 'uploadUrl', 'eventSourceUrl',
+];
+
+// How long to wait after a change before saving, so a burst of changes is
+// saved once (ms)
+var SAVE_DELAY = 3000;
+
+// How many windows of each mailbox list to keep, and how many lists
+var QUERY_WINDOWS = 2;
+var MAX_QUERIES = 10;
+
+// The record types cached. If isAll, every record of the type is loaded, so
+// any not in the cache have since been destroyed. Messages are only kept
+// once their headers have loaded.
+var TYPES = [{
+    name: 'Mailbox',
+    Type: Mailbox,
+    isAll: true,
+}, {
+    name: 'Thread',
+    Type: Thread,
+    isAll: false,
+}, {
+    name: 'Email',
+    Type: Message,
+    isAll: false,
+    isComplete: function ( data ) {
+        return !!data.receivedAt;
+    },
+}];
+
+// ---
+
+// The store keeps references to other records as store keys, which only last
+// as long as the page, so these are turned back into ids to save.
+var refAttrs = {};
+
+var getRefAttrs = function ( Type ) {
+    var typeId = O.guid( Type );
+    var proto = Type.prototype;
+    var attrs;
+    if ( !refAttrs[ typeId ] ) {
+        attrs = O.meta( proto ).attrs;
+        refAttrs[ typeId ] = Object.keys( attrs ).filter( function ( key ) {
+            var attribute = attrs[ key ] && proto[ attrs[ key ] ];
+            return attribute instanceof O.ToOneAttribute ||
+                attribute instanceof O.ToManyAttribute;
+        });
+    }
+    return refAttrs[ typeId ];
+};
+
+var toId = function ( storeKey ) {
+    return store.getIdFromStoreKey( storeKey );
+};
+
+var toSavedData = function ( Type, data ) {
+    var result = O.clone( data );
+    getRefAttrs( Type ).forEach( function ( key ) {
+        var value = data[ key ];
+        result[ key ] = !value ? value :
+            typeof value === 'string' ? toId( value ) :
+            value instanceof Array ? value.map( toId ) :
+            Object.zip( Object.keys( value ).map( toId ),
+                Object.values( value ) );
+    });
+    return result;
+};
+
+// Calls back with the database, or null if it can't be opened (for example,
+// in some private browsing modes).
+var openDatabase = function ( callback ) {
+    var request;
+    try {
+        request = indexedDB.open( DB_NAME, DB_VERSION );
+    } catch ( error ) {
+        callback( null );
+        return;
+    }
+    request.onupgradeneeded = function ( event ) {
+        var db = request.result;
+        if ( event.oldVersion < 1 ) {
+            db.createObjectStore( 'records', {
+                keyPath: [ 'type', 'accountId', 'id' ],
+            });
+            db.createObjectStore( 'states', {
+                keyPath: [ 'type', 'accountId' ],
+            });
+            db.createObjectStore( 'queries', {
+                keyPath: 'id',
+            });
+        }
+        if ( event.oldVersion < 2 ) {
+            db.createObjectStore( 'session', {
+                keyPath: 'url',
+            });
+        }
+    };
+    request.onsuccess = function () {
+        callback( request.result );
+    }.invokeInRunLoop();
+    request.onerror = function () {
+        callback( null );
+    }.invokeInRunLoop();
+};
+
+// Empties every object store, then calls back.
+var emptyDatabase = function ( db, callback ) {
+    var transaction = db.transaction( OBJECT_STORES, 'readwrite' );
+    OBJECT_STORES.forEach( function ( name ) {
+        transaction.objectStore( name ).clear();
+    });
+    transaction.oncomplete = transaction.onabort = callback;
+};
+
+// Mail is only kept in the browser if the login is remembered
+var isRemembered = function () {
+    return App.credentials.get( 'rememberMe' );
+};
+
+// The ids of the accounts in the session with data of the type
+var getAccountIds = function ( Type ) {
+    var accounts = JMAP.auth.get( 'accounts' ) || {};
+    return Object.keys( accounts ).filter( function ( accountId ) {
+        return !!accounts[ accountId ].accountCapabilities[ Type.dataGroup ];
+    });
+};
+
+// ---
+
+App.cache = new O.Object({
+
+    // Set once the cache has been read, so saving can't overwrite it first
+    db: null,
+
+    // Called back once the cache has been restored; null until restoring
+    // starts, then empty once it's done.
+    _restoreCallbacks: null,
+    _saveTimer: null,
+
+    // Query id -> the mailbox lists viewed, most recent last
+    _queries: {},
+
+    // Calls back with the session saved for the session URL, or null if
+    // there isn't one.
+    restoreSession: function ( url, callback ) {
+        if ( !isRemembered() ) {
+            callback( null );
+            return this;
+        }
+        openDatabase( function ( db ) {
+            var request;
+            if ( !db ) {
+                callback( null );
+                return;
+            }
+            request = db.transaction( 'session', 'readonly' )
+                .objectStore( 'session' ).get( url );
+            request.onsuccess = function () {
+                callback( request.result ? request.result.data : null );
+            }.invokeInRunLoop();
+            request.onerror = function () {
+                callback( null );
+            }.invokeInRunLoop();
+        });
+        return this;
+    },
+
+    // Loads the cached records and lists into the store, for the accounts in
+    // the session, and fetches just what has changed since (with the */changes
+    // methods). Then calls back.
+    restore: function ( callback ) {
+        var callbacks = this._restoreCallbacks;
+        if ( callbacks ) {
+            if ( callbacks.isDone ) {
+                callback();
+            } else {
+                callbacks.push( callback );
+            }
+            return this;
+        }
+        this._restoreCallbacks = [ callback ];
+        openDatabase( function ( db ) {
+            var results = {};
+            var transaction;
+            if ( !db ) {
+                this.didRestore( null );
+                return;
+            }
+            // Throw away anything cached while the login was remembered
+            if ( !isRemembered() ) {
+                emptyDatabase( db, function () {
+                    this.didRestore( db );
+                }.bind( this ).invokeInRunLoop() );
+                return;
+            }
+            transaction = db.transaction( OBJECT_STORES, 'readonly' );
+            OBJECT_STORES.forEach( function ( name ) {
+                transaction.objectStore( name ).getAll().onsuccess =
+                function ( event ) {
+                    results[ name ] = event.target.result;
+                };
+            });
+            transaction.oncomplete = function () {
+                this.load( results )
+                    .didRestore( db );
+            }.bind( this ).invokeInRunLoop();
+            transaction.onabort = function () {
+                this.didRestore( db );
+            }.bind( this ).invokeInRunLoop();
+        }.bind( this ) );
+        return this;
+    },
+
+    didRestore: function ( db ) {
+        var callbacks = this._restoreCallbacks;
+        this.db = db;
+        callbacks.isDone = true;
+        while ( callbacks.length ) {
+            callbacks.shift()();
+        }
+        return this;
+    },
+
+    load: function ( results ) {
+        var records = {};
+        var hasMessages = {};
+        results.records.forEach( function ( record ) {
+            var key = record.type + ' ' + record.accountId;
+            ( records[ key ] || ( records[ key ] = [] ) ).push( record.data );
+        });
+        TYPES.forEach( function ( type ) {
+            var accountIds = getAccountIds( type.Type );
+            results.states.forEach( function ( saved ) {
+                var accountId = saved.accountId;
+                if ( saved.type !== type.name ||
+                        !accountIds.includes( accountId ) ) {
+                    return;
+                }
+                store.sourceDidFetchRecords( accountId, type.Type,
+                        records[ type.name + ' ' + accountId ] || [],
+                        saved.state, type.isAll )
+                     .fetchAll( accountId, type.Type, true );
+                if ( type.Type === Message ) {
+                    hasMessages[ accountId ] = true;
+                }
+            });
+        });
+        results.queries.forEach( function ( saved ) {
+            var args = saved.args;
+            var id = MessageList.getId( args );
+            var query;
+            if ( !hasMessages[ args.accountId ] ) {
+                return;
+            }
+            query = store.getQuery( id, MessageList, O.clone( args ) );
+            if ( !( query.get( 'status' ) & READY ) ) {
+                query.set( 'hasTotal', saved.hasTotal )
+                    .set( 'canGetDeltaUpdates', true )
+                    .sourceDidFetchIds({
+                        ids: saved.ids,
+                        position: 0,
+                        total: saved.total,
+                        queryState: saved.queryState,
+                    });
+            }
+            this._queries[ id ] = query;
+        }, this );
+        return this;
+    },
+
+    // --- Saving ---
+
+    mailboxListDidChange: function () {
+        var query = App.state.get( 'mailboxMessageList' );
+        var queries = this._queries;
+        var ids;
+        // Search results aren't worth keeping
+        if ( query && !App.state.get( 'isSearch' ) ) {
+            delete queries[ query.get( 'id' ) ];
+            queries[ query.get( 'id' ) ] = query;
+            ids = Object.keys( queries );
+            ids.slice( 0, Math.max( 0, ids.length - MAX_QUERIES ) ).forEach(
+            function ( id ) {
+                delete queries[ id ];
+            });
+        }
+    },
+
+    storeDidChange: function () {
+        if ( this.db && isRemembered() ) {
+            O.RunLoop.cancel( this._saveTimer );
+            this._saveTimer = O.RunLoop.invokeAfterDelay(
+                this.save, SAVE_DELAY, this );
+        }
+    },
+
+    // Replaces the cache with what's in the store now. Records with changes
+    // not yet saved to the server are left out, as the server may reject
+    // them.
+    save: function () {
+        var db = this.db;
+        var auth = JMAP.auth;
+        var transaction, records, states, queries;
+        if ( !db || !isRemembered() ) {
+            return this;
+        }
+        transaction = db.transaction( OBJECT_STORES, 'readwrite' );
+        records = transaction.objectStore( 'records' );
+        states = transaction.objectStore( 'states' );
+        queries = transaction.objectStore( 'queries' );
+        OBJECT_STORES.forEach( function ( name ) {
+            transaction.objectStore( name ).clear();
+        });
+        transaction.objectStore( 'session' ).put({
+            url: auth.get( 'authenticationUrl' ),
+            data: SESSION_KEYS.reduce( function ( data, key ) {
+                data[ key ] = O.clone( auth.get( key ) );
+                return data;
+            }, {} ),
+        });
+        TYPES.forEach( function ( type ) {
+            var Type = type.Type;
+            getAccountIds( Type ).forEach( function ( accountId ) {
+                var state = store.getTypeState( accountId, Type );
+                if ( state ) {
+                    states.put({
+                        type: type.name,
+                        accountId: accountId,
+                        state: state,
+                    });
+                }
+            });
+            store.findAll( Type ).forEach( function ( storeKey ) {
+                var data = store.getData( storeKey );
+                if ( ( store.getStatus( storeKey ) & ( UNSAVED | STALE ) ) ||
+                        ( type.isComplete && !type.isComplete( data ) ) ) {
+                    return;
+                }
+                records.put({
+                    type: type.name,
+                    accountId: data.accountId,
+                    id: toId( storeKey ),
+                    data: toSavedData( Type, data ),
+                });
+            });
+        });
+        Object.keys( this._queries ).forEach( function ( id ) {
+            var query = store.getQuery( id );
+            var count, ids;
+            if ( !query || !( query.get( 'status' ) & READY ) ||
+                    !query.get( 'canGetDeltaUpdates' ) ) {
+                return;
+            }
+            count = Math.min( query.get( 'length' ),
+                query.get( 'windowSize' ) * QUERY_WINDOWS );
+            ids = query.getStoreKeys().slice( 0, count ).map( toId );
+            // Only keep lists whose first windows are all loaded
+            if ( ids.filter( Boolean ).length < count ) {
+                return;
+            }
+            queries.put({
+                id: id,
+                args: {
+                    accountId: query.get( 'accountId' ),
+                    where: O.clone( query.get( 'where' ) ),
+                    sort: O.clone( query.get( 'sort' ) ),
+                    collapseThreads: query.get( 'collapseThreads' ),
+                    autoRefresh: query.get( 'autoRefresh' ),
+                },
+                ids: ids,
+                total: query.get( 'length' ),
+                hasTotal: query.get( 'hasTotal' ),
+                queryState: query.get( 'queryState' ),
+            });
+        });
+        return this;
+    },
+
+    // Empties the cache, then calls back.
+    clear: function ( callback ) {
+        var db = this.db;
+        O.RunLoop.cancel( this._saveTimer );
+        this.db = null;
+        if ( !db ) {
+            openDatabase( function ( db ) {
+                this.db = db;
+                if ( db ) {
+                    this.clear( callback );
+                } else {
+                    callback();
+                }
+            }.bind( this ) );
+            return this;
+        }
+        emptyDatabase( db, callback );
+        return this;
+    },
+
+    // Stops keeping mail once the login is no longer remembered
+    rememberMeDidChange: function () {
+        if ( this.db && !isRemembered() ) {
+            O.RunLoop.cancel( this._saveTimer );
+            emptyDatabase( this.db, function () {} );
+        }
+    },
+});
+TYPES.forEach( function ( type ) {
+    store.on( type.Type, App.cache, 'storeDidChange' );
+});
+App.state.addObserverForKey(
+    'mailboxMessageList', App.cache, 'mailboxListDidChange' );
+App.credentials.addObserverForKey(
+    'rememberMe', App.cache, 'rememberMeDidChange' );
+
+});
@@ -0,0 +1,482 @@
+// -------------------------------------------------------------------------- \\
+// File: compose.js                                                           \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js                                           \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, DOMParser */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var Message = JMAP.Message;
+var Identity = JMAP.Identity;
+var MessageSubmission = JMAP.MessageSubmission;
+
+// How long to wait after the last edit before saving the draft (ms)
+var AUTOSAVE_DELAY = 5000;
+
+// ---
+
+var parseAddresses = function ( string ) {
+    return string.split( /[,;](?=(?:[^"]*"[^"]*")*[^"]*$)/ )
+        .map( function ( address ) {
+            var match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec( address );
+            if ( match ) {
+                return {
+                    name: match[1].trim(),
+                    email: match[2].trim(),
+                };
+            }
+            address = address.trim();
+            return address ? {
+                name: '',
+                email: address,
+            } : null;
+        })
+        .filter( function ( address ) {
+            return !!address;
+        });
+};
+
+var formatAddresses = function ( addresses ) {
+    return ( addresses || [] ).map( function ( address ) {
+        var name = address.name;
+        if ( !name ) {
+            return address.email;
+        }
+        if ( /[,;"<>@]/.test( name ) ) {
+            name = JSON.stringify( name.replace( /["\\]/g, '' ) );
+        }
+        return name + ' <' + address.email + '>';
+    }).join( ', ' );
+};
+
+var addPrefix = function ( prefix, subject ) {
+    subject = subject || '';
+    return new RegExp( '^' + prefix + ':', 'i' ).test( subject ) ?
+        subject :
+        prefix + ': ' + subject;
+};
+
+var getTextBody = function ( message ) {
+    var bodyValues = message.get( 'bodyValues' ) || {};
+    return message.get( 'bodyParts' ).html.map( function ( part ) {
+        var value = bodyValues[ part.partId ];
+        if ( !value ) {
+            return '';
+        }
+        if ( part.type === 'text/html' ) {
+            return new DOMParser()
+                .parseFromString( value.value, 'text/html' )
+                .body.textContent;
+        }
+        return part.type.startsWith( 'text/' ) ? value.value : '';
+    }).join( '\n' ).trim();
+};
+
+var quote = function ( text ) {
+    return text.split( '\n' ).map( function ( line ) {
+        return '> ' + line;
+    }).join( '\n' );
+};
+
+var describeMessage = function ( message ) {
+    var sentAt = message.get( 'sentAt' ) || message.get( 'receivedAt' );
+    return O.i18n.date( sentAt, 'fullDateAndTime' ) + ', ' +
+        formatAddresses( message.get( 'from' ) );
+};
+
+// ---
+
+var allIdentities = store.getQuery( 'allIdentities', O.LocalQuery, {
+    Type: Identity,
+    sort: function ( a, b ) {
+        return a.get( 'email' ) < b.get( 'email' ) ? -1 :
+            a.get( 'email' ) > b.get( 'email' ) ? 1 : 0;
+    },
+});
+
+var findIdentity = function ( addresses ) {
+    var identities = allIdentities.get( '[]' );
+    var emails = ( addresses || [] ).map( function ( address ) {
+        return address.email.toLowerCase();
+    });
+    return identities.find( function ( identity ) {
+        return emails.contains( identity.get( 'email' ).toLowerCase() );
+    }) || identities[0] || null;
+};
+
+// ---
+
+var Draft = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( mixin ) {
+        this.to = '';
+        this.cc = '';
+        this.bcc = '';
+        this.subject = '';
+        this.body = '';
+        this.identityId = '';
+
+        this.inReplyTo = null;
+        this.references = null;
+        // The message being replied to/forwarded, and the keyword to set on it
+        // when this draft is sent.
+        this.original = null;
+        this.originalKeyword = '';
+
+        // The most recently saved copy of this draft in the drafts mailbox.
+        this.message = null;
+        this.isSaving = false;
+        this.isDirty = false;
+        this.isSending = false;
+        // Why it couldn't be sent
+        this.error = '';
+
+        this._autosaveTimer = null;
+
+        Draft.parent.constructor.call( this, mixin );
+    },
+
+    destroy: function () {
+        O.RunLoop.cancel( this._autosaveTimer );
+        Draft.parent.destroy.call( this );
+    },
+
+    identity: function () {
+        var identityId = this.get( 'identityId' );
+        return identityId ?
+            store.getRecord( null, Identity, identityId ) :
+            null;
+    }.property( 'identityId' ),
+
+    status: function () {
+        return this.get( 'error' ) ? this.get( 'error' ) :
+            this.get( 'isSending' ) ? 'Sending…' :
+            this.get( 'isSaving' ) ? 'Saving…' :
+            this.get( 'isDirty' ) ? '' :
+            this.get( 'message' ) ? 'Draft saved' : '';
+    }.property( 'error', 'isSending', 'isSaving', 'isDirty', 'message' ),
+
+    // --- Autosave ---
+
+    contentDidChange: function () {
+        this.set( 'isDirty', true )
+            .set( 'error', '' );
+        O.RunLoop.cancel( this._autosaveTimer );
+        this._autosaveTimer =
+            O.RunLoop.invokeAfterDelay( this.save, AUTOSAVE_DELAY, this );
+    }.observes( 'to', 'cc', 'bcc', 'subject', 'body', 'identityId' ),
+
+    messageStatusDidChange: function ( _, __, ___, status ) {
+        if ( this.get( 'isSaving' ) &&
+                !( status & ( O.Status.NEW | O.Status.COMMITTING ) ) ) {
+            this.set( 'isSaving', false );
+        }
+    }.observes( 'message.status' ),
+
+    // ---
+
+    makeMessage: function () {
+        var identity = this.get( 'identity' );
+        var accountId = identity ?
+                identity.get( 'accountId' ) :
+                store.getPrimaryAccountIdForType( Message );
+        var from = identity ? [{
+                name: identity.get( 'name' ),
+                email: identity.get( 'email' ),
+            }] : null;
+        var bcc = parseAddresses( this.get( 'bcc' ) );
+        var now = new Date();
+
+        if ( identity && identity.get( 'bcc' ) ) {
+            bcc = bcc.concat( identity.get( 'bcc' ) );
+        }
+
+        return new Message( store )
+            .set( 'accountId', accountId )
+            .set( 'keywords', { $draft: true, $seen: true } )
+            .set( 'from', from )
+            .set( 'replyTo', identity ? identity.get( 'replyTo' ) : null )
+            .set( 'to', parseAddresses( this.get( 'to' ) ) )
+            .set( 'cc', parseAddresses( this.get( 'cc' ) ) )
+            .set( 'bcc', bcc )
+            .set( 'subject', this.get( 'subject' ) )
+            .set( 'inReplyTo', this.get( 'inReplyTo' ) )
+            .set( 'references', this.get( 'references' ) )
+            .set( 'receivedAt', now )
+            .set( 'sentAt', now )
+            .set( 'bodyStructure', {
+                partId: 'text',
+                type: 'text/plain',
+            })
+            .set( 'bodyValues', {
+                text: {
+                    value: this.get( 'body' ),
+                },
+            });
+    },
+
+    // Messages are immutable in JMAP, so saving means creating a new draft
+    // and destroying the previous copy.
+    replaceMessage: function () {
+        var oldMessage = this.get( 'message' );
+        var message = this.makeMessage();
+
+        if ( oldMessage ) {
+            JMAP.mail.destroy([ oldMessage ]);
+        }
+        JMAP.mail.create( message );
+
+        return this.set( 'message', message )
+            .set( 'isDirty', false );
+    },
+
+    save: function () {
+        O.RunLoop.cancel( this._autosaveTimer );
+        if ( this.get( 'isDirty' ) && !this.get( 'isSending' ) ) {
+            this.set( 'isSaving', true )
+                .replaceMessage();
+        }
+        return this;
+    },
+
+    // If sendAt is given, the server holds the message until then.
+    send: function ( sendAt ) {
+        var identity = this.get( 'identity' );
+        var accountId, drafts, sent, onSuccess, message, original;
+
+        O.RunLoop.cancel( this._autosaveTimer );
+        if ( this.get( 'isSending' ) ) {
+            return false;
+        }
+        if ( !identity ) {
+            this.set( 'error', 'Choose who to send this from.' );
+            return false;
+        }
+        if ( !parseAddresses( this.get( 'to' ) + ',' + this.get( 'cc' ) +
+                ',' + this.get( 'bcc' ) ).length ) {
+            this.set( 'error', 'Add at least one recipient.' );
+            return false;
+        }
+
+        accountId = identity.get( 'accountId' );
+        drafts = JMAP.mail.getMailboxForRole( accountId, 'drafts' );
+        sent = JMAP.mail.getMailboxForRole( accountId, 'sent' );
+
+        // On successful submission, file the message in the sent mailbox
+        // and clear the $draft keyword.
+        onSuccess = {
+            'keywords/$draft': null,
+        };
+        if ( drafts ) {
+            onSuccess[ 'mailboxIds/' + drafts.get( 'id' ) ] = null;
+        }
+        if ( sent ) {
+            onSuccess[ 'mailboxIds/' + sent.get( 'id' ) ] = true;
+        }
+
+        this.set( 'isSending', true )
+            .set( 'isDirty', true )
+            .replaceMessage();
+        message = this.get( 'message' );
+
+        new MessageSubmission( store )
+            .set( 'accountId', accountId )
+            .set( 'identity', identity )
+            .set( 'message', message )
+            .set( 'envelope', sendAt ?
+                App.scheduled.makeEnvelope( message, sendAt ) : null )
+            .set( 'onSuccess', onSuccess )
+            .saveToStore();
+
+        original = this.get( 'original' );
+        if ( original && this.get( 'originalKeyword' ) ) {
+            JMAP.mail.setKeyword(
+                [ original ], this.get( 'originalKeyword' ), true, false );
+        }
+
+        return true;
+    },
+
+    discard: function () {
+        var message = this.get( 'message' );
+        O.RunLoop.cancel( this._autosaveTimer );
+        if ( message ) {
+            JMAP.mail.destroy([ message ]);
+            this.set( 'message', null );
+        }
+        return this.set( 'isDirty', false );
+    },
+});
+
+// ---
+
+App.composer = new O.Object({
+
+    draft: null,
+
+    identities: allIdentities,
+
+    identityOptions: O.bind( allIdentities, '[]', function ( identities ) {
+        return identities.map( function ( identity ) {
+            return {
+                text: identity.get( 'nameAndEmail' ),
+                value: identity.get( 'id' ),
+            };
+        });
+    }),
+
+    open: function ( draft ) {
+        var oldDraft = this.get( 'draft' );
+        if ( oldDraft ) {
+            oldDraft.save().destroy();
+        }
+        if ( !draft.get( 'identityId' ) ) {
+            var identity = findIdentity( null );
+            draft.set( 'identityId', identity ? identity.get( 'id' ) : '' );
+        }
+        draft.set( 'isDirty', false );
+        return this.set( 'draft', draft );
+    },
+
+    // Keeps anything typed since the last autosave in the drafts mailbox
+    close: function () {
+        var draft = this.get( 'draft' );
+        if ( draft ) {
+            this.set( 'draft', null );
+            draft.save().destroy();
+        }
+        return this;
+    },
+
+    // --- Actions ---
+
+    compose: function () {
+        return this.open( new Draft() );
+    },
+
+    reply: function ( message, replyAll ) {
+        var from = message.get( 'from' ) || [];
+        var replyTo = message.get( 'replyTo' );
+        var to = replyTo && replyTo.length ? replyTo : from;
+        var cc = [];
+        var messageId = message.get( 'messageId' ) || [];
+        var identity = findIdentity(
+            ( message.get( 'to' ) || [] ).concat( message.get( 'cc' ) || [] )
+        );
+        var ownEmail = identity ? identity.get( 'email' ).toLowerCase() : '';
+        var notOwn = function ( address ) {
+            return address.email.toLowerCase() !== ownEmail;
+        };
+
+        if ( replyAll ) {
+            cc = ( message.get( 'to' ) || [] )
+                .concat( message.get( 'cc' ) || [] )
+                .filter( notOwn );
+        }
+        // Replying to our own sent message: reply to the original recipients.
+        if ( !to.filter( notOwn ).length ) {
+            to = message.get( 'to' ) || [];
+        }
+
+        return this.open( new Draft({
+            to: formatAddresses( to ),
+            cc: formatAddresses( cc ),
+            subject: addPrefix( 'Re', message.get( 'subject' ) ),
+            body: '\n\nOn ' + describeMessage( message ) + ' wrote:\n' +
+                quote( getTextBody( message ) ) + '\n',
+            identityId: identity ? identity.get( 'id' ) : '',
+            inReplyTo: messageId.length ? messageId : null,
+            references: messageId.length ?
+                ( message.get( 'references' ) || [] ).concat( messageId ) :
+                null,
+            original: message,
+            originalKeyword: '$answered',
+        }));
+    },
+
+    replyAll: function ( message ) {
+        return this.reply( message, true );
+    },
+
+    forward: function ( message ) {
+        var messageId = message.get( 'messageId' ) || [];
+        return this.open( new Draft({
+            subject: addPrefix( 'Fwd', message.get( 'subject' ) ),
+            body: '\n\n---------- Forwarded message ----------\n' +
+                'From: ' + formatAddresses( message.get( 'from' ) ) + '\n' +
+                'Date: ' + describeMessage( message ) + '\n' +
+                'Subject: ' + message.get( 'subject' ) + '\n' +
+                'To: ' + formatAddresses( message.get( 'to' ) ) + '\n\n' +
+                getTextBody( message ) + '\n',
+            references: messageId.length ?
+                ( message.get( 'references' ) || [] ).concat( messageId ) :
+                null,
+            original: message,
+            originalKeyword: '$forwarded',
+        }));
+    },
+
+    editDraft: function ( message ) {
+        var identity = findIdentity( message.get( 'from' ) );
+        var draft = new Draft({
+            to: formatAddresses( message.get( 'to' ) ),
+            cc: formatAddresses( message.get( 'cc' ) ),
+            bcc: formatAddresses( message.get( 'bcc' ) ),
+            subject: message.get( 'subject' ),
+            body: getTextBody( message ),
+            identityId: identity ? identity.get( 'id' ) : '',
+            inReplyTo: message.get( 'inReplyTo' ),
+            references: message.get( 'references' ),
+            message: message,
+        });
+        return this.open( draft );
+    },
+
+    // --- Composer buttons ---
+
+    // Called with a date to send later
+    send: function ( sendAt ) {
+        var draft = this.get( 'draft' );
+        if ( !( sendAt instanceof Date ) ) {
+            sendAt = null;
+        }
+        if ( draft && draft.send( sendAt ) ) {
+            this.set( 'draft', null );
+            draft.destroy();
+        }
+    },
+
+    saveDraft: function () {
+        var draft = this.get( 'draft' );
+        if ( draft ) {
+            draft.set( 'isDirty', true ).save();
+        }
+    },
+
+    discard: function () {
+        var draft = this.get( 'draft' );
+        if ( draft ) {
+            draft.discard();
+            this.close();
+        }
+    },
+
+    // --- Initial data ---
+
+    fetchIdentities: function () {
+        store.fetchAll( Identity );
+    },
+});
+JMAP.auth.addObserverForKey(
+    'isAuthenticated', App.composer, 'fetchIdentities' );
+
+App.Draft = Draft;
+App.parseAddresses = parseAddresses;
+App.formatAddresses = formatAddresses;
+
+});
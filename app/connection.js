@@ -0,0 +1,78 @@
+// -------------------------------------------------------------------------- \\
+// File: connection.js                                                        \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js, socket.js                                \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var OPEN = O.EventSource.OPEN;
+
+// e.g. "45s" or "2m 5s"
+var formatSeconds = function ( seconds ) {
+    return seconds < 60 ?
+        seconds + 's' :
+        Math.floor( seconds / 60 ) + 'm ' + ( seconds % 60 ) + 's';
+};
+
+// ---
+
+// Whether the app can reach the server, for the banners shown when it can't.
+App.connection = new O.Object({
+
+    isAuthenticated: O.bind( JMAP.auth, 'isAuthenticated' ),
+    isDisconnected: O.bind( JMAP.auth, 'isDisconnected' ),
+    timeToReconnect: O.bind( JMAP.auth, 'timeToReconnect' ),
+
+    pushState: O.bind( App.push, 'readyState' ),
+    hasPushUrl: O.bind( App.push, 'url', O.Transform.toBoolean ),
+    // When the WebSocket carries push, the EventSource is closed
+    isSocketPushing: O.bind( App.socket, 'isPushing' ),
+
+    // The push connection takes a moment to open at first, which isn't worth
+    // mentioning; only once it has been open does losing it count.
+    _pushHasOpened: false,
+
+    bannerText: function () {
+        var timeToReconnect = this.get( 'timeToReconnect' );
+        return timeToReconnect ?
+            'Offline — retrying in ' + formatSeconds( timeToReconnect ) :
+            'Offline — retrying…';
+    }.property( 'timeToReconnect' ),
+
+    // Requests can still be made without push, but changes made elsewhere
+    // won't show up until the next refresh. Not shown while the server can't
+    // be reached at all, as the offline banner covers that.
+    isPushDown: function () {
+        return this.get( 'isAuthenticated' ) &&
+            this.get( 'hasPushUrl' ) &&
+            !this.get( 'isDisconnected' ) &&
+            !this.get( 'isSocketPushing' ) &&
+            this.get( 'pushState' ) !== OPEN &&
+            this._pushHasOpened;
+    }.property( 'isAuthenticated', 'hasPushUrl', 'isDisconnected',
+        'isSocketPushing', 'pushState' ),
+
+    pushStateDidChange: function () {
+        if ( this.get( 'pushState' ) === OPEN ||
+                this.get( 'isSocketPushing' ) ) {
+            this._pushHasOpened = true;
+        }
+    }.observes( 'pushState', 'isSocketPushing' ),
+
+    retryNow: function () {
+        JMAP.auth.retryConnections();
+        return this;
+    },
+
+    // Fetches anything missed while push was down, and tries to reopen it.
+    reconnectPush: function () {
+        App.push.close().open();
+        App.state.refresh();
+        return this;
+    },
+});
+
+});
@@ -0,0 +1,127 @@
+// -------------------------------------------------------------------------- \\
+// File: delivery.js                                                          \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var MessageSubmission = JMAP.MessageSubmission;
+
+// The label for each state a recipient's copy can be in
+var LABELS = {
+    scheduled: 'Scheduled',
+    queued: 'Queued',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    failed: 'Failed',
+    displayed: 'Displayed',
+};
+
+var getState = function ( status ) {
+    if ( !status ) {
+        return 'queued';
+    }
+    if ( status.displayed === 'yes' ) {
+        return 'displayed';
+    }
+    switch ( status.delivered ) {
+    case 'yes':
+        return 'delivered';
+    case 'no':
+        return 'failed';
+    case 'queued':
+        return 'queued';
+    }
+    // The server doesn't know what happened after it handed the message on
+    return 'sent';
+};
+
+// ---
+
+App.delivery = new O.Object({
+
+    // Ids of the messages we have fetched the submissions for; after that,
+    // push keeps them up to date.
+    _fetched: {},
+
+    fetch: function ( message ) {
+        var id = message.get( 'id' );
+        var accountId = message.get( 'accountId' );
+        var mail = JMAP.mail;
+        if ( !id || this._fetched[ id ] ) {
+            return this;
+        }
+        this._fetched[ id ] = true;
+        mail.callMethod( 'EmailSubmission/query', {
+            accountId: accountId,
+            filter: {
+                emailIds: [ id ],
+            },
+        });
+        mail.callMethod( 'EmailSubmission/get', {
+            accountId: accountId,
+            '#ids': {
+                resultOf: mail.getPreviousMethodId(),
+                name: 'EmailSubmission/query',
+                path: '/ids',
+            },
+        });
+        return this;
+    },
+
+    getSubmissions: function ( message ) {
+        var id = message.get( 'id' );
+        return store.findAll( MessageSubmission, function ( data ) {
+            return data.emailId === id && data.undoStatus !== 'canceled';
+        }).map( function ( storeKey ) {
+            return store.getRecordFromStoreKey( storeKey );
+        });
+    },
+
+    // Returns the state of each recipient of the submission, as objects with
+    // email, state (a key of LABELS), label and the server's SMTP reply.
+    getRecipients: function ( submission ) {
+        var deliveryStatus = submission.get( 'deliveryStatus' ) || {};
+        var envelope = submission.get( 'envelope' );
+        var isPending = submission.get( 'undoStatus' ) === 'pending';
+        var emails = envelope ?
+                envelope.rcptTo.map( function ( address ) {
+                    return address.email;
+                }) :
+                Object.keys( deliveryStatus );
+        return emails.map( function ( email ) {
+            var status = deliveryStatus[ email ];
+            var state = isPending ? 'scheduled' : getState( status );
+            return {
+                email: email,
+                state: state,
+                label: LABELS[ state ],
+                smtpReply: status && status.smtpReply || '',
+            };
+        });
+    },
+
+    // The delivery status notifications are only of interest if something
+    // went wrong. Returns them as parts App.attachments can download.
+    getReports: function ( submission ) {
+        var hasFailed = this.getRecipients( submission ).some(
+        function ( recipient ) {
+            return recipient.state === 'failed';
+        });
+        return hasFailed ?
+            ( submission.get( 'dsnBlobIds' ) || [] ).map( function ( blobId ) {
+                return {
+                    blobId: blobId,
+                    type: 'text/plain',
+                    name: 'delivery-report.txt',
+                };
+            }) :
+            [];
+    },
+});
+
+});
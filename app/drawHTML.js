@@ -268,6 +268,90 @@ var sanitiseSelector = function ( selector ) {
     }).join( ',' );
 };
 
+// --- Remote Content ---
+
+// Set on each call to drawHTML
+var allowRemote = false;
+var blocked = null;
+
+var REMOTE_URL = /^\s*(?:https?:)?\/\//i;
+var CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+var URL_ATTRIBUTE = addToSet( {}, [
+    'background',
+    'dynsrc',
+    'lowsrc',
+    'poster',
+    'src',
+    'srcset',
+]);
+
+// Links, except in SVG, where <image>, <feImage> and <use> load them
+var LINK_ATTRIBUTE = addToSet( {}, [
+    'href',
+    'xlink:href',
+]);
+var LINK_ELEMENT = addToSet( {}, [
+    'A',
+    'AREA',
+]);
+
+var isUrlAttribute = function ( node, name ) {
+    return !!URL_ATTRIBUTE[ name ] || ( !!LINK_ATTRIBUTE[ name ] &&
+        !LINK_ELEMENT[ node.nodeName.toUpperCase() ] );
+};
+
+// Hosts used by common email open trackers
+var TRACKER_HOST = new RegExp( '(?:^|\\.)(?:' + [
+    'list-manage\\.com',
+    'mailchimp\\.com',
+    'sendgrid\\.net',
+    'mandrillapp\\.com',
+    'mailgun\\.org',
+    'hubspot\\.com',
+    'hs-analytics\\.net',
+    'exacttarget\\.com',
+    'google-analytics\\.com',
+    'doubleclick\\.net',
+    'mixpanel\\.com',
+    'mailtrack\\.io',
+    'yesware\\.com',
+    'bananatag\\.com',
+    'streak\\.com',
+].join( '|' ) + ')$', 'i' );
+
+var isRemoteAttribute = function ( name, value ) {
+    // srcset is a comma separated list of "url descriptor" candidates
+    return ( name === 'srcset' ? value.split( ',' ) : [ value ] ).some(
+        function ( url ) {
+            return REMOTE_URL.test( url );
+        });
+};
+
+var hasRemoteCSSUrl = function ( value ) {
+    var match;
+    CSS_URL.lastIndex = 0;
+    while (( match = CSS_URL.exec( value ) )) {
+        if ( REMOTE_URL.test( match[2] ) ) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// A tracking pixel is a tiny or hidden image, or one from a known tracker.
+var isTracker = function ( node, url ) {
+    var width = parseInt( node.getAttribute( 'width' ), 10 );
+    var height = parseInt( node.getAttribute( 'height' ), 10 );
+    var host = /^\s*(?:https?:)?\/\/([^\/:?#]+)/i.exec( url );
+    return width <= 1 || height <= 1 ||
+        node.style.display === 'none' ||
+        node.style.visibility === 'hidden' ||
+        !!host && TRACKER_HOST.test( host[1] );
+};
+
+// ---
+
 var sanitiseStyle = function ( style ) {
     var output = '';
     var i, l, name, value, important, nonPrefixName;
@@ -304,6 +388,11 @@ var sanitiseStyle = function ( style ) {
                     continue;
                 }
             }
+            // Block remote images, fonts etc. unless allowed
+            if ( !allowRemote && hasRemoteCSSUrl( value ) ) {
+                blocked.remote += 1;
+                continue;
+            }
             // Write out the style
             output += name;
             output += ':';
@@ -389,6 +478,15 @@ var uponSanitizeAttribute = function ( node, data ) {
     if ( name === 'style' ) {
         data.attrValue = sanitiseStyle( node.style );
     }
+    // Block remote resources
+    if ( isUrlAttribute( node, name ) && !allowRemote &&
+            isRemoteAttribute( name, value ) ) {
+        blocked.remote += 1;
+        if ( node.nodeName === 'IMG' && isTracker( node, value ) ) {
+            blocked.trackers += 1;
+        }
+        data.keepAttr = false;
+    }
     // Rewrite ids and classes
     if ( name === 'id' || name === 'for' ) {
         data.attrValue = id + '-' + value;
@@ -416,10 +514,18 @@ var FORBID_TAGS =
     'audio blink decorator element marquee template video'.split( ' ' );
 var FORBID_ATTR = 'action method tabindex xmlns'.split( ' ' );
 
-var drawHTML = function ( html ) {
+// Remote resources (images, backgrounds, fonts) are stripped unless
+// allowRemoteContent is true. If given, the stats object has its remote and
+// trackers counts incremented for each resource blocked.
+var drawHTML = function ( html, allowRemoteContent, stats ) {
     // Setup global variables
     counter += 1;
     id = 'defanged' + counter;
+    allowRemote = !!allowRemoteContent;
+    blocked = stats || {
+        remote: 0,
+        trackers: 0,
+    };
 
     // Sanitise the HTML/CSS
     var documentElement = DOMPurify.sanitize( html, {
@@ -0,0 +1,345 @@
+// -------------------------------------------------------------------------- \\
+// File: outbox.js                                                            \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js, cache.js                                 \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var Mailbox = JMAP.Mailbox;
+var Message = JMAP.Message;
+
+var Status = O.Status;
+var READY = Status.READY;
+var UNSAVED = Status.DIRTY | Status.COMMITTING;
+var GONE = Status.DESTROYED | Status.NON_EXISTENT;
+
+// Survives a reload. Each entry is an action the user took, with what it
+// changed in each message: { label, accountId, changes }, where changes maps
+// message id -> { subject, mailboxIds, keywords[, snoozed] }, and mailboxIds
+// and keywords map just the ones added to true and removed to false.
+// Conflicts are changes the server rejected: { label, subject, reason }.
+var storage = new O.LocalStorage( 'outbox', false, {
+    entries: [],
+    conflicts: [],
+});
+
+// The mailboxes, keywords and snooze details of the message, with mailboxes
+// as ids rather than store keys so they can be saved.
+var getState = function ( message ) {
+    var data = store.getData( message.get( 'storeKey' ) ) || {};
+    return {
+        mailboxIds: Object.keys( data.mailboxIds || {} ).reduce(
+        function ( mailboxIds, storeKey ) {
+            var id = store.getIdFromStoreKey( storeKey );
+            if ( id ) {
+                mailboxIds[ id ] = true;
+            }
+            return mailboxIds;
+        }, {} ),
+        keywords: O.clone( data.keywords || {} ),
+        snoozed: O.clone( data.snoozed ),
+    };
+};
+
+var diff = function ( before, after ) {
+    return Object.keys( Object.assign( {}, before, after ) ).reduce(
+    function ( changes, key ) {
+        if ( !before[ key ] !== !after[ key ] ) {
+            changes[ key ] = !!after[ key ];
+        }
+        return changes;
+    }, {} );
+};
+
+// What changed between the two states, or null if nothing did
+var getChange = function ( message, before, after ) {
+    var change = {
+        subject: message.get( 'subject' ),
+        mailboxIds: diff( before.mailboxIds, after.mailboxIds ),
+        keywords: diff( before.keywords, after.keywords ),
+    };
+    var isChanged = Object.keys( change.mailboxIds ).length > 0 ||
+        Object.keys( change.keywords ).length > 0;
+    if ( !O.isEqual( before.snoozed, after.snoozed ) ) {
+        change.snoozed = after.snoozed || null;
+        isChanged = true;
+    }
+    return isChanged ? change : null;
+};
+
+// The mailboxes the change adds (or removes) that the message isn't (or is)
+// in now
+var getMailboxes = function ( message, mailboxIds, isAdded ) {
+    var accountId = message.get( 'accountId' );
+    var mailboxes = message.get( 'mailboxes' );
+    return Object.keys( mailboxIds ).filter( function ( id ) {
+        return mailboxIds[ id ] === isAdded;
+    }).map( function ( id ) {
+        return store.getRecord( accountId, Mailbox, id );
+    }).filter( function ( mailbox ) {
+        return mailboxes.contains( mailbox ) !== isAdded;
+    });
+};
+
+// Makes the change again, leaving alone anything it didn't touch (which may
+// have been changed elsewhere since). This goes through JMAP.mail and
+// App.snooze, as the original change did, so the mailbox counts and lists are
+// updated too.
+var applyChange = function ( message, change ) {
+    var mailboxIds = change.mailboxIds;
+    var keywords = change.keywords;
+    var snoozedMailbox = App.snooze.get( 'mailbox' );
+    var snoozedId = snoozedMailbox && snoozedMailbox.get( 'id' );
+    var isSnoozed = !!snoozedMailbox &&
+        message.get( 'mailboxes' ).contains( snoozedMailbox );
+    var add, remove, i, l;
+    // JMAP.mail.move can't snooze or unsnooze (see snooze.js)
+    if ( change.snoozed && ( mailboxIds[ snoozedId ] || isSnoozed ) ) {
+        App.snooze.snoozeMessages( [ message ],
+            Date.fromJSON( change.snoozed.until ),
+            isSnoozed ? snoozedMailbox :
+                getMailboxes( message, mailboxIds, false )[0] || null );
+    } else if ( change.snoozed === null && mailboxIds[ snoozedId ] === false &&
+            isSnoozed ) {
+        App.snooze.unsnoozeMessages( [ message ],
+            getMailboxes( message, mailboxIds, true )[0] || null );
+    }
+    add = getMailboxes( message, mailboxIds, true );
+    remove = getMailboxes( message, mailboxIds, false );
+    for ( i = 0, l = Math.max( add.length, remove.length ); i < l; i += 1 ) {
+        JMAP.mail.move( [ message ], add[i] || null, remove[i] || null, false );
+    }
+    Object.keys( keywords ).forEach( function ( keyword ) {
+        var value = keywords[ keyword ];
+        if ( !!message.get( 'keywords' )[ keyword ] === value ) {
+            return;
+        }
+        if ( keyword === '$seen' ) {
+            JMAP.mail.setUnread( [ message ], !value, false );
+        } else {
+            JMAP.mail.setKeyword( [ message ], keyword, value, false );
+        }
+    });
+};
+
+// ---
+
+App.outbox = new O.Object({
+
+    entries: O.bind( storage, 'entries' ),
+    conflicts: O.bind( storage, 'conflicts' ),
+
+    // Whether changes kept from before a reload are being sent again
+    isReplaying: false,
+
+    _hasReplayed: false,
+
+    // Store key -> the message, for those with changes being tracked
+    _messages: {},
+    // Store key -> true, for messages kept from before a reload that need
+    // their changes making again once they've loaded
+    _toApply: {},
+
+    count: function () {
+        return this.get( 'entries' ).length;
+    }.property( 'entries' ),
+
+    // Changes normally reach the server straight away, so the count is only
+    // worth showing while they can't.
+    isShowing: function () {
+        return ( this.get( 'count' ) > 0 && (
+                this.get( 'isDisconnected' ) || this.get( 'isReplaying' ) ) ) ||
+            this.get( 'conflicts' ).length > 0;
+    }.property( 'count', 'isDisconnected', 'isReplaying', 'conflicts' ),
+
+    isDisconnected: O.bind( JMAP.auth, 'isDisconnected' ),
+
+    statusText: function () {
+        var count = this.get( 'count' );
+        return count ? O.i18n.localise(
+            '[*2,_1,1 change,%n changes] waiting to sync', count ) : '';
+    }.property( 'count' ),
+
+    // Runs the action on the messages, and keeps what it changed in each one
+    // until the server has it. Called by App.actions.
+    record: function ( label, messages, action ) {
+        var before = messages.map( getState );
+        var byAccount = {};
+        action( messages );
+        messages.forEach( function ( message, i ) {
+            var storeKey = message.get( 'storeKey' );
+            var accountId = message.get( 'accountId' );
+            var change = getChange( message, before[i], getState( message ) );
+            if ( !change || !( store.getStatus( storeKey ) & UNSAVED ) ) {
+                return;
+            }
+            ( byAccount[ accountId ] || ( byAccount[ accountId ] = {} ) )[
+                message.get( 'id' ) ] = change;
+            this.track( message );
+        }, this );
+        storage.set( 'entries', storage.get( 'entries' ).concat(
+            Object.keys( byAccount ).map( function ( accountId ) {
+                return {
+                    label: label,
+                    accountId: accountId,
+                    changes: byAccount[ accountId ],
+                };
+            })
+        ));
+        return this;
+    },
+
+    track: function ( message ) {
+        var storeKey = message.get( 'storeKey' );
+        if ( !this._messages[ storeKey ] ) {
+            this._messages[ storeKey ] = message;
+            message.addObserverForKey( 'status', this, 'messageDidChange' );
+        }
+        return this;
+    },
+
+    // Once the server has a message's changes, or it's gone, they no longer
+    // need keeping.
+    messageDidChange: function ( message, _, __, status ) {
+        var storeKey = message.get( 'storeKey' );
+        if ( this._toApply[ storeKey ] && ( status & READY ) &&
+                !( status & UNSAVED ) ) {
+            delete this._toApply[ storeKey ];
+            this.apply( message );
+            status = store.getStatus( storeKey );
+        }
+        if ( status & GONE ) {
+            this.addConflicts( message, 'The message no longer exists.' );
+        } else if ( !( status & READY ) || ( status & UNSAVED ) ) {
+            return;
+        }
+        message.removeObserverForKey( 'status', this, 'messageDidChange' );
+        delete this._messages[ storeKey ];
+        delete this._toApply[ storeKey ];
+        this.remove( message );
+    },
+
+    remove: function ( message ) {
+        var accountId = message.get( 'accountId' );
+        var id = message.get( 'id' );
+        storage.set( 'entries', storage.get( 'entries' ).map(
+        function ( entry ) {
+            var changes;
+            if ( entry.accountId !== accountId || !entry.changes[ id ] ) {
+                return entry;
+            }
+            changes = O.clone( entry.changes );
+            delete changes[ id ];
+            return Object.keys( changes ).length ? {
+                label: entry.label,
+                accountId: accountId,
+                changes: changes,
+            } : null;
+        }).filter( Boolean ) );
+        if ( !storage.get( 'entries' ).length ) {
+            this.set( 'isReplaying', false );
+        }
+        return this;
+    },
+
+    // --- Conflicts ---
+
+    // The server rejected a change. The store puts the message back as the
+    // server has it; keep a note of what didn't happen.
+    commitDidFail: function ( event ) {
+        var message = event.target;
+        if ( message instanceof Message &&
+                this._messages[ message.get( 'storeKey' ) ] ) {
+            this.addConflicts( message, event.description ||
+                'The server rejected the change (' + event.type + ').' );
+        }
+    },
+
+    addConflicts: function ( message, reason ) {
+        var accountId = message.get( 'accountId' );
+        var id = message.get( 'id' );
+        storage.set( 'conflicts', storage.get( 'conflicts' ).concat(
+            storage.get( 'entries' ).filter( function ( entry ) {
+                return entry.accountId === accountId && entry.changes[ id ];
+            }).map( function ( entry ) {
+                return {
+                    label: entry.label,
+                    subject: entry.changes[ id ].subject,
+                    reason: reason,
+                };
+            })
+        ));
+        return this;
+    },
+
+    dismissConflicts: function () {
+        storage.set( 'conflicts', [] );
+        return this;
+    },
+
+    // --- Replaying ---
+
+    // Makes the changes kept from before the last reload again, oldest first,
+    // once each message has loaded. (Changes made since the page loaded are
+    // still in the store, which sends them again itself once reconnected.)
+    replay: function () {
+        var entries = storage.get( 'entries' );
+        if ( !entries.length ) {
+            return this;
+        }
+        this.set( 'isReplaying', true );
+        entries.forEach( function ( entry ) {
+            Object.keys( entry.changes ).forEach( function ( id ) {
+                var message = store.getRecord( entry.accountId, Message, id );
+                var storeKey = message.get( 'storeKey' );
+                this._toApply[ storeKey ] = true;
+                this.track( message )
+                    .messageDidChange(
+                        message, 'status', 0, store.getStatus( storeKey ) );
+            }, this );
+        }, this );
+        return this;
+    },
+
+    // Makes every kept change to the message again, oldest first.
+    apply: function ( message ) {
+        var accountId = message.get( 'accountId' );
+        var id = message.get( 'id' );
+        storage.get( 'entries' ).forEach( function ( entry ) {
+            if ( entry.accountId === accountId && entry.changes[ id ] ) {
+                applyChange( message, entry.changes[ id ] );
+            }
+        });
+        return this;
+    },
+
+    // Forgets every change and conflict, for logging out.
+    clear: function () {
+        var messages = this._messages;
+        Object.keys( messages ).forEach( function ( storeKey ) {
+            messages[ storeKey ].removeObserverForKey(
+                'status', this, 'messageDidChange' );
+        }, this );
+        this._messages = {};
+        this._toApply = {};
+        storage.set( 'entries', [] )
+            .set( 'conflicts', [] );
+        return this.set( 'isReplaying', false );
+    },
+
+    sessionDidChange: function () {
+        if ( JMAP.auth.get( 'isAuthenticated' ) && !this._hasReplayed ) {
+            this._hasReplayed = true;
+            App.cache.restore( this.replay.bind( this ) );
+        }
+    },
+});
+store.on( 'record:commit:error', App.outbox, 'commitDidFail' );
+JMAP.auth.addObserverForKey(
+    'isAuthenticated', App.outbox, 'sessionDidChange' );
+
+});
@@ -0,0 +1,145 @@
+// -------------------------------------------------------------------------- \\
+// File: redirect.js                                                          \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, compose.js                                         \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var Status = O.Status;
+var READY = Status.READY;
+var NEW_OR_DIRTY = Status.NEW | Status.DIRTY;
+
+var EMAIL = /^[^@\s<>,;"]+@[^@\s<>,;"]+$/;
+
+// Describes the deliveryStatus of a submission, or returns '' if it hasn't
+// been delivered (or failed) yet.
+var describeDelivery = function ( deliveryStatus ) {
+    var failed = [];
+    var delivered = [];
+    var email;
+    for ( email in deliveryStatus ) {
+        switch ( deliveryStatus[ email ].delivered ) {
+        case 'no':
+            failed.push( email + ' (' +
+                deliveryStatus[ email ].smtpReply + ')' );
+            break;
+        case 'yes':
+            delivered.push( email );
+            break;
+        }
+    }
+    return failed.length ?
+        'Delivery failed to ' + failed.join( ', ' ) + '.' :
+        delivered.length ?
+        'Delivered to ' + delivered.join( ', ' ) + '.' :
+        '';
+};
+
+// ---
+
+App.redirect = new O.Object({
+
+    // The message being redirected; the dialog is shown while this is set.
+    message: null,
+    to: '',
+
+    // "", "sending", "sent" or "failed"
+    status: '',
+    statusText: '',
+
+    submissions: [],
+    _hasRefetched: false,
+
+    error: function () {
+        var addresses = App.parseAddresses( this.get( 'to' ) );
+        var invalid = addresses.find( function ( address ) {
+            return !EMAIL.test( address.email );
+        });
+        if ( !addresses.length ) {
+            return 'Enter at least one address.';
+        }
+        if ( invalid ) {
+            return '“' + invalid.email + '” is not a valid address.';
+        }
+        return '';
+    }.property( 'to' ),
+
+    canSend: function () {
+        return !this.get( 'error' ) && !this.get( 'status' );
+    }.property( 'error', 'status' ),
+
+    open: function ( message ) {
+        this.close();
+        return this.set( 'message', message );
+    },
+
+    close: function () {
+        this.get( 'submissions' ).forEach( function ( submission ) {
+            submission.off( 'record:commit:error', this, 'submissionDidFail' )
+                .removeObserverForKey( 'status', this, 'submissionDidChange' )
+                .removeObserverForKey(
+                    'deliveryStatus', this, 'submissionDidChange' );
+        }, this );
+        this._hasRefetched = false;
+        return this.beginPropertyChanges()
+            .set( 'message', null )
+            .set( 'to', '' )
+            .set( 'status', '' )
+            .set( 'statusText', '' )
+            .set( 'submissions', [] )
+            .endPropertyChanges();
+    },
+
+    send: function () {
+        var message = this.get( 'message' );
+        var submissions;
+        if ( !message || !this.get( 'canSend' ) ) {
+            return this;
+        }
+        submissions = JMAP.mail.redirect(
+            [ message ], App.parseAddresses( this.get( 'to' ) ) );
+        submissions.forEach( function ( submission ) {
+            submission.on( 'record:commit:error', this, 'submissionDidFail' )
+                .addObserverForKey( 'status', this, 'submissionDidChange' )
+                .addObserverForKey(
+                    'deliveryStatus', this, 'submissionDidChange' );
+        }, this );
+        return this.beginPropertyChanges()
+            .set( 'submissions', submissions )
+            .set( 'status', 'sending' )
+            .set( 'statusText', 'Redirecting…' )
+            .endPropertyChanges();
+    },
+
+    // Don't prevent the default: the store then destroys the failed
+    // submission rather than trying to create it again.
+    submissionDidFail: function ( event ) {
+        this.set( 'status', 'failed' )
+            .set( 'statusText', 'The message could not be redirected' +
+                ( event.description ? ': ' + event.description : '.' ) );
+    },
+
+    submissionDidChange: function ( submission ) {
+        var status = submission.get( 'status' );
+        var delivery;
+        if ( this.get( 'status' ) === 'failed' ||
+                !( status & READY ) || ( status & NEW_OR_DIRTY ) ) {
+            return;
+        }
+        delivery = describeDelivery( submission.get( 'deliveryStatus' ) );
+        // The server may not know the outcome straight away, so check back
+        // once after a few seconds.
+        if ( !delivery && !this._hasRefetched ) {
+            this._hasRefetched = true;
+            O.RunLoop.invokeAfterDelay( submission.fetch, 5000, submission );
+        }
+        this.set( 'status', delivery.startsWith( 'Delivery failed' ) ?
+                'failed' : 'sent' )
+            .set( 'statusText', delivery || 'The message has been sent.' );
+    },
+});
+
+});
@@ -0,0 +1,269 @@
+// -------------------------------------------------------------------------- \\
+// File: scheduled.js                                                         \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, snooze.js, compose.js                              \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var MessageSubmission = JMAP.MessageSubmission;
+var SUBMISSION_DATA = JMAP.auth.SUBMISSION_DATA;
+
+var Status = O.Status;
+var READY = Status.READY;
+var BUSY = Status.NEW | Status.DIRTY | Status.COMMITTING;
+
+var isPending = function ( data ) {
+    return data.undoStatus === 'pending';
+};
+
+var bySendAt = function ( a, b ) {
+    return a.sendAt < b.sendAt ? -1 : a.sendAt > b.sendAt ? 1 : 0;
+};
+
+// Returns an envelope asking the server to hold the message until sendAt,
+// using the SMTP FUTURERELEASE extension (RFC 4865). The recipients are taken
+// from the given envelope if there is one, or else from the message headers.
+var makeEnvelope = function ( message, sendAt, envelope ) {
+    if ( !envelope ) {
+        envelope = MessageSubmission.makeEnvelope( message );
+    }
+    return {
+        mailFrom: {
+            email: envelope.mailFrom.email,
+            parameters: {
+                HOLDUNTIL: Date.toUTCJSON( sendAt ),
+            },
+        },
+        rcptTo: envelope.rcptTo,
+    };
+};
+
+// ---
+
+App.scheduled = new O.Object({
+
+    // The longest the server will hold a message for, in seconds; 0 if it
+    // doesn't support sending later.
+    maxDelayedSend: 0,
+
+    isShowing: false,
+    isLoading: false,
+    error: '',
+
+    // The pending submissions, soonest first
+    submissions: [],
+
+    // The time picker, for a submission being rescheduled or (if null) the
+    // draft in the composer.
+    isChoosingTime: false,
+    submission: null,
+    customTime: '',
+
+    // Store key -> new send time, for submissions being cancelled so they
+    // can be sent again later.
+    _reschedules: {},
+
+    makeEnvelope: makeEnvelope,
+
+    isSupported: function () {
+        return this.get( 'maxDelayedSend' ) > 0;
+    }.property( 'maxDelayedSend' ),
+
+    sessionDidChange: function () {
+        var accountId = JMAP.auth.getAccountId( true, SUBMISSION_DATA );
+        var account = accountId && JMAP.auth.get( 'accounts' )[ accountId ];
+        var capability = account &&
+                account.accountCapabilities[ SUBMISSION_DATA ];
+        this.set( 'maxDelayedSend',
+            capability && capability.maxDelayedSend || 0 );
+        // Load the pending submissions for the count in the sidebar
+        return this.get( 'isSupported' ) ? this.fetch() : this;
+    },
+
+    // Whether the server will hold a message until the given time.
+    canSendAt: function ( sendAt ) {
+        var now = Date.now();
+        return sendAt > now &&
+            sendAt - now <= this.get( 'maxDelayedSend' ) * 1000;
+    },
+
+    // --- The Scheduled view ---
+
+    show: function () {
+        this.set( 'isShowing', true )
+            .set( 'error', '' );
+        return this.fetch();
+    },
+
+    hide: function () {
+        return this.set( 'isShowing', false );
+    },
+
+    fetch: function () {
+        var accountId = JMAP.auth.getAccountId( true, SUBMISSION_DATA );
+        var mail = JMAP.mail;
+        if ( !accountId ) {
+            return this;
+        }
+        this.set( 'isLoading', true );
+        mail.callMethod( 'EmailSubmission/query', {
+            accountId: accountId,
+            filter: {
+                undoStatus: 'pending',
+            },
+        });
+        mail.callMethod( 'EmailSubmission/get', {
+            accountId: accountId,
+            '#ids': {
+                resultOf: mail.getPreviousMethodId(),
+                name: 'EmailSubmission/query',
+                path: '/ids',
+            },
+        }, function () {
+            this.set( 'isLoading', false );
+        }.bind( this ) );
+        return this;
+    },
+
+    submissionsDidChange: function () {
+        return this.set( 'submissions',
+            store.findAll( MessageSubmission, isPending, bySendAt )
+                .map( function ( storeKey ) {
+                    return store.getRecordFromStoreKey( storeKey );
+                })
+        );
+    },
+
+    // Cancelling returns the message to the drafts mailbox, so it can be
+    // edited and sent again.
+    cancel: function ( submission ) {
+        var accountId = submission.get( 'accountId' );
+        var drafts = JMAP.mail.getMailboxForRole( accountId, 'drafts' );
+        var sent = JMAP.mail.getMailboxForRole( accountId, 'sent' );
+        var onSuccess = {
+            'keywords/$draft': true,
+        };
+        if ( sent ) {
+            onSuccess[ 'mailboxIds/' + sent.get( 'id' ) ] = null;
+        }
+        if ( drafts ) {
+            onSuccess[ 'mailboxIds/' + drafts.get( 'id' ) ] = true;
+        }
+        submission
+            .on( 'record:commit:error', this, 'submissionDidFail' )
+            .set( 'onSuccess', onSuccess )
+            .set( 'undoStatus', 'canceled' );
+        return this.set( 'error', '' );
+    },
+
+    // The send time of a submission can't be changed, so this cancels it and,
+    // once that has succeeded, submits the message again for the new time.
+    // Waiting means it can't be sent twice if it has already gone out.
+    reschedule: function ( submission, sendAt ) {
+        this._reschedules[ submission.get( 'storeKey' ) ] = sendAt;
+        submission
+            .on( 'record:commit:error', this, 'submissionDidFail' )
+            .addObserverForKey( 'status', this, 'submissionDidCommit' )
+            .set( 'undoStatus', 'canceled' );
+        return this.set( 'error', '' );
+    },
+
+    submissionDidCommit: function ( submission, _, __, status ) {
+        var storeKey = submission.get( 'storeKey' );
+        var sendAt = this._reschedules[ storeKey ];
+        if ( !( status & READY ) || ( status & BUSY ) ) {
+            return;
+        }
+        delete this._reschedules[ storeKey ];
+        submission
+            .off( 'record:commit:error', this, 'submissionDidFail' )
+            .removeObserverForKey( 'status', this, 'submissionDidCommit' );
+        // The cancel was reverted if it failed
+        if ( submission.get( 'undoStatus' ) === 'canceled' ) {
+            new MessageSubmission( store )
+                .set( 'accountId', submission.get( 'accountId' ) )
+                .set( 'identity', submission.get( 'identity' ) )
+                .set( 'message', submission.get( 'message' ) )
+                .set( 'envelope', makeEnvelope( submission.get( 'message' ),
+                    sendAt, submission.get( 'envelope' ) ) )
+                .saveToStore();
+        }
+    },
+
+    // Most likely the message has already been sent.
+    submissionDidFail: function ( event ) {
+        var submission = event.target;
+        if ( !this._reschedules[ submission.get( 'storeKey' ) ] ) {
+            submission.off( 'record:commit:error', this, 'submissionDidFail' );
+        }
+        this.set( 'error', 'The message could not be changed' +
+            ( event.description ? ': ' + event.description : '.' ) );
+    },
+
+    // --- Time picker ---
+
+    chooseTime: function ( submission ) {
+        var sendAt = new Date().add( 1, 'day' );
+        if ( !( submission instanceof MessageSubmission ) ) {
+            submission = null;
+        }
+        sendAt.setHours( 8, 0, 0, 0 );
+        if ( submission && submission.get( 'sendAt' ) ) {
+            sendAt = submission.get( 'sendAt' );
+        }
+        return this.beginPropertyChanges()
+            .set( 'submission', submission )
+            .set( 'customTime', sendAt.format( '%Y-%m-%dT%H:%M' ) )
+            .set( 'isChoosingTime', true )
+            .endPropertyChanges();
+    },
+
+    customSendAt: function () {
+        return App.snooze.parseTime( this.get( 'customTime' ) );
+    }.property( 'customTime' ),
+
+    customError: function () {
+        var sendAt = this.get( 'customSendAt' );
+        if ( !sendAt ) {
+            return 'Choose a date and time.';
+        }
+        if ( sendAt <= new Date() ) {
+            return 'Choose a time in the future.';
+        }
+        if ( !this.canSendAt( sendAt ) ) {
+            return 'The server can only hold messages for up to ' +
+                O.i18n.localise( '[*2,_1,1 day,%n days]',
+                    Math.floor( this.get( 'maxDelayedSend' ) / 86400 ) ) +
+                '.';
+        }
+        return '';
+    }.property( 'customSendAt', 'maxDelayedSend' ),
+
+    scheduleAtCustomTime: function () {
+        var submission = this.get( 'submission' );
+        var sendAt = this.get( 'customSendAt' );
+        if ( !this.get( 'customError' ) ) {
+            if ( submission ) {
+                this.reschedule( submission, sendAt );
+            } else {
+                App.composer.send( sendAt );
+            }
+            this.cancelChoosing();
+        }
+        return this;
+    },
+
+    cancelChoosing: function () {
+        return this.set( 'isChoosingTime', false )
+            .set( 'submission', null );
+    },
+});
+store.on( MessageSubmission, App.scheduled, 'submissionsDidChange' );
+JMAP.auth.addObserverForKey(
+    'isAuthenticated', App.scheduled, 'sessionDidChange' );
+
+});
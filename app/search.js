@@ -0,0 +1,204 @@
+// -------------------------------------------------------------------------- \\
+// File: search.js                                                            \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global App, JMAP */
+
+( function () {
+
+// --- Tokeniser ---
+
+// Matches an optional "-" negation, an optional "key:" prefix and then either
+// a quoted phrase or a run of non-space characters.
+var TOKEN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+var tokenise = function ( string ) {
+    var tokens = [];
+    var match;
+    TOKEN.lastIndex = 0;
+    while (( match = TOKEN.exec( string ) )) {
+        tokens.push({
+            isNegated: !!match[1],
+            key: match[2] ? match[2].toLowerCase() : '',
+            value: match[3] !== undefined ? match[3] : match[4] || '',
+            raw: match[0],
+        });
+    }
+    return tokens;
+};
+
+// --- Term parsers ---
+
+var parseDate = function ( value ) {
+    var match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec( value );
+    if ( !match ) {
+        return null;
+    }
+    return match[1] + '-' +
+        ( match[2].length < 2 ? '0' : '' ) + match[2] + '-' +
+        ( match[3].length < 2 ? '0' : '' ) + match[3] + 'T00:00:00Z';
+};
+
+var parseSize = function ( value ) {
+    var match = /^(\d+(?:\.\d+)?)([kmg]?)b?$/i.exec( value );
+    if ( !match ) {
+        return null;
+    }
+    return Math.round( parseFloat( match[1] ) * ({
+        '': 1,
+        k: 1024,
+        m: 1024 * 1024,
+        g: 1024 * 1024 * 1024,
+    })[ match[2].toLowerCase() ] );
+};
+
+var findMailbox = function ( value ) {
+    var name = value.toLowerCase();
+    return JMAP.store.getAll( JMAP.Mailbox ).find( function ( mailbox ) {
+        return mailbox.get( 'role' ) === name ||
+            mailbox.get( 'name' ).toLowerCase() === name;
+    }) || null;
+};
+
+var IS = {
+    unread: { notKeyword: '$seen' },
+    read: { hasKeyword: '$seen' },
+    seen: { hasKeyword: '$seen' },
+    flagged: { hasKeyword: '$flagged' },
+    starred: { hasKeyword: '$flagged' },
+    draft: { hasKeyword: '$draft' },
+    answered: { hasKeyword: '$answered' },
+    replied: { hasKeyword: '$answered' },
+};
+
+var HAS = {
+    attachment: { hasAttachment: true },
+    attachments: { hasAttachment: true },
+    flag: { hasKeyword: '$flagged' },
+    star: { hasKeyword: '$flagged' },
+};
+
+var TEXT_KEYS = {
+    from: 'from',
+    to: 'to',
+    cc: 'cc',
+    bcc: 'bcc',
+    subject: 'subject',
+    body: 'body',
+    text: 'text',
+};
+
+// Returns the filter condition for a single token, or null if the token is
+// not a recognised "key:value" term.
+var parseTerm = function ( key, value ) {
+    var condition, date, size, mailbox;
+    if ( !value ) {
+        return null;
+    }
+    switch ( key ) {
+    case 'is':
+        return IS[ value.toLowerCase() ] || null;
+    case 'has':
+        return HAS[ value.toLowerCase() ] || null;
+    case 'before':
+    case 'after':
+        date = parseDate( value );
+        if ( !date ) {
+            return null;
+        }
+        condition = {};
+        condition[ key ] = date;
+        return condition;
+    case 'larger':
+    case 'minsize':
+        size = parseSize( value );
+        return size !== null ? { minSize: size } : null;
+    case 'smaller':
+    case 'maxsize':
+        size = parseSize( value );
+        return size !== null ? { maxSize: size } : null;
+    case 'in':
+        mailbox = findMailbox( value );
+        return mailbox ? { inMailbox: mailbox.get( 'id' ) } : null;
+    }
+    if ( TEXT_KEYS[ key ] ) {
+        condition = {};
+        condition[ TEXT_KEYS[ key ] ] = value;
+        return condition;
+    }
+    return null;
+};
+
+// --- Parser ---
+
+var combine = function ( operator, conditions ) {
+    return conditions.length === 1 ? conditions[0] : {
+        operator: operator,
+        conditions: conditions,
+    };
+};
+
+// Parses a search string such as
+//     from:alice subject:"q3 report" has:attachment before:2026-01-01
+// into an Email/query filter. Terms are ANDed together, may be negated with a
+// leading "-" and may be joined with "OR". Anything not recognised as a
+// key:value term is searched for as free text. Returns null if empty.
+var parseSearch = function ( string ) {
+    var conditions = [];
+    var orNext = false;
+
+    tokenise( string || '' ).forEach( function ( token ) {
+        var condition;
+        if ( token.raw === 'OR' && conditions.length ) {
+            orNext = true;
+            return;
+        }
+        condition = token.key ?
+            parseTerm( token.key, token.value ) :
+            token.value ? { text: token.value } : null;
+        if ( !condition ) {
+            // Unknown key: treat the whole thing as free text
+            condition = { text: token.raw.replace( /^-|"/g, '' ) };
+            if ( !condition.text ) {
+                return;
+            }
+        }
+        if ( token.isNegated ) {
+            condition = {
+                operator: 'NOT',
+                conditions: [ condition ],
+            };
+        }
+        if ( orNext ) {
+            var previous = conditions.pop();
+            condition = previous.operator === 'OR' ?
+                combine( 'OR', previous.conditions.concat( condition ) ) :
+                combine( 'OR', [ previous, condition ] );
+            orNext = false;
+        }
+        conditions.push( condition );
+    });
+
+    return conditions.length ? combine( 'AND', conditions ) : null;
+};
+
+// Does the filter have any text terms (so search snippets are worth fetching)?
+var hasTextSearch = function ( filter ) {
+    if ( !filter ) {
+        return false;
+    }
+    if ( filter.operator ) {
+        return filter.operator !== 'NOT' &&
+            filter.conditions.some( hasTextSearch );
+    }
+    return Object.keys( filter ).some( function ( key ) {
+        return !!TEXT_KEYS[ key ];
+    });
+};
+
+App.parseSearch = parseSearch;
+App.hasTextSearch = hasTextSearch;
+
+}() );
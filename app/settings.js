@@ -0,0 +1,364 @@
+// -------------------------------------------------------------------------- \\
+// File: settings.js                                                          \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js, compose.js                               \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, confirm */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var VacationResponse = JMAP.VacationResponse;
+var Identity = JMAP.Identity;
+
+// ---
+
+// Date inputs give us "YYYY-MM-DD"; the response dates are local midnight at
+// the start of the first day and the day after the last day.
+var parseDay = function ( value, isEnd ) {
+    var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec( value || '' );
+    return match ?
+        new Date( +match[1], match[2] - 1, +match[3] + ( isEnd ? 1 : 0 ) ) :
+        null;
+};
+
+var formatDay = function ( date, isEnd ) {
+    if ( !date ) {
+        return '';
+    }
+    if ( isEnd ) {
+        date = new Date( date ).subtract( 1, 'day' );
+    }
+    return date.format( '%Y-%m-%d' );
+};
+
+// --- Vacation response ---
+
+// The form being edited; changes are only sent to the server on save.
+var VacationForm = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( mixin ) {
+        this.isEnabled = false;
+        this.hasDates = false;
+        this.fromDate = '';
+        this.toDate = '';
+        this.subject = '';
+        this.textBody = '';
+
+        VacationForm.parent.constructor.call( this, mixin );
+    },
+
+    error: function () {
+        var fromDate = parseDay( this.get( 'fromDate' ), false );
+        var toDate = parseDay( this.get( 'toDate' ), true );
+        if ( !this.get( 'hasDates' ) ) {
+            return '';
+        }
+        if ( !fromDate && !toDate ) {
+            return 'Choose when the auto-reply should start or end.';
+        }
+        if ( fromDate && toDate && fromDate >= toDate ) {
+            return 'The last day must not be before the first day.';
+        }
+        return '';
+    }.property( 'hasDates', 'fromDate', 'toDate' ),
+});
+
+App.vacation = new O.Object({
+
+    record: null,
+    form: null,
+
+    isEnabled: O.bind( 'record.isEnabled' ),
+    fromDate: O.bind( 'record.fromDate' ),
+    toDate: O.bind( 'record.toDate' ),
+
+    // Is the auto-reply on now, or will it be later?
+    isOn: function () {
+        var toDate = this.get( 'toDate' );
+        return !!this.get( 'isEnabled' ) && ( !toDate || toDate > new Date() );
+    }.property( 'isEnabled', 'toDate' ),
+
+    bannerText: function () {
+        var fromDate = this.get( 'fromDate' );
+        var toDate = this.get( 'toDate' );
+        if ( fromDate && fromDate > new Date() ) {
+            return 'Out of office starts ' + O.i18n.date( fromDate, 'date' );
+        }
+        return 'Out of office is on' + ( toDate ?
+            ' until ' +
+                O.i18n.date( new Date( toDate ).subtract( 1, 'day' ), 'date' ) :
+            '' );
+    }.property( 'fromDate', 'toDate' ),
+
+    fetch: function () {
+        var accountId = JMAP.auth.get( 'isAuthenticated' ) &&
+                store.getPrimaryAccountIdForType( VacationResponse );
+        // There is only ever one vacation response per account
+        this.set( 'record', accountId ?
+            store.getRecord( accountId, VacationResponse, 'singleton' ) :
+            null );
+    },
+
+    isLoaded: O.bind( 'record.status', function ( status ) {
+        return !!( status & O.Status.READY );
+    }),
+
+    edit: function () {
+        var record = this.get( 'record' );
+        this.cancel();
+        if ( !record || !record.is( O.Status.READY ) ) {
+            return this;
+        }
+        return this.set( 'form', new VacationForm({
+            isEnabled: record.get( 'isEnabled' ),
+            hasDates: record.get( 'hasDates' ),
+            fromDate: formatDay( record.get( 'fromDate' ), false ),
+            toDate: formatDay( record.get( 'toDate' ), true ),
+            subject: record.get( 'subject' ) || '',
+            textBody: record.get( 'textBody' ) || '',
+        }));
+    },
+
+    // If the settings were opened before the response loaded, start editing
+    // once it arrives.
+    recordDidLoad: function () {
+        if ( this.get( 'isLoaded' ) && !this.get( 'form' ) &&
+                App.settings.get( 'pane' ) === 'vacation' ) {
+            this.edit();
+        }
+    }.observes( 'isLoaded' ),
+
+    cancel: function () {
+        var form = this.get( 'form' );
+        if ( form ) {
+            this.set( 'form', null );
+            form.destroy();
+        }
+        return this;
+    },
+
+    save: function () {
+        var record = this.get( 'record' );
+        var form = this.get( 'form' );
+        var hasDates;
+        if ( !record || !form || form.get( 'error' ) ) {
+            return this;
+        }
+        hasDates = form.get( 'hasDates' );
+        // We only edit the plain text version, so drop any old HTML body
+        // rather than leave it out of sync.
+        record
+            .set( 'isEnabled', form.get( 'isEnabled' ) )
+            .set( 'fromDate', hasDates ?
+                parseDay( form.get( 'fromDate' ), false ) : null )
+            .set( 'toDate', hasDates ?
+                parseDay( form.get( 'toDate' ), true ) : null )
+            .set( 'subject', form.get( 'subject' ) || null )
+            .set( 'textBody', form.get( 'textBody' ) || null )
+            .set( 'htmlBody', null );
+        App.settings.close();
+        return this;
+    },
+
+    turnOff: function () {
+        var record = this.get( 'record' );
+        if ( record ) {
+            record.set( 'isEnabled', false );
+        }
+        return this;
+    },
+});
+JMAP.auth.addObserverForKey( 'isAuthenticated', App.vacation, 'fetch' );
+
+// --- Identities ---
+
+var IdentityForm = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( mixin ) {
+        // The identity being edited, or null if creating a new one
+        this.identity = null;
+        this.name = '';
+        this.email = '';
+        this.replyTo = '';
+        this.bcc = '';
+        this.textSignature = '';
+        this.htmlSignature = '';
+        // Which signature is being edited: "text" or "html"
+        this.signatureType = 'text';
+
+        IdentityForm.parent.constructor.call( this, mixin );
+    },
+
+    isNew: function () {
+        return !this.get( 'identity' );
+    }.property( 'identity' ),
+
+    error: function () {
+        var email = this.get( 'email' ).trim();
+        if ( !email ) {
+            return 'An email address is required.';
+        }
+        if ( !/^[^@\s]+@[^@\s]+$/.test( email ) ) {
+            return 'The email address is not valid.';
+        }
+        return '';
+    }.property( 'email' ),
+
+    setSignatureType: function ( type ) {
+        return this.set( 'signatureType', type );
+    },
+});
+
+App.identities = new O.Object({
+
+    identities: App.composer.identities,
+
+    form: null,
+
+    // The identity currently being edited, or null
+    selected: O.bind( 'form.identity' ),
+
+    // Start editing the first identity if nothing else is.
+    edit: function () {
+        var form = this.get( 'form' );
+        var identity = form ? form.get( 'identity' ) :
+                this.get( 'identities' ).getObjectAt( 0 );
+        if ( form && form.get( 'isNew' ) ) {
+            return this;
+        }
+        return identity ? this.select( identity ) : this.create();
+    },
+
+    // Called with an identity, or by a button with an identity property.
+    select: function ( identity ) {
+        if ( identity instanceof O.ButtonView ) {
+            identity = identity.get( 'identity' );
+        }
+        this.cancel();
+        return this.set( 'form', new IdentityForm({
+            identity: identity,
+            name: identity.get( 'name' ),
+            email: identity.get( 'email' ),
+            replyTo: App.formatAddresses( identity.get( 'replyTo' ) ),
+            bcc: App.formatAddresses( identity.get( 'bcc' ) ),
+            textSignature: identity.get( 'textSignature' ),
+            htmlSignature: identity.get( 'htmlSignature' ),
+            signatureType: identity.get( 'htmlSignature' ) &&
+                !identity.get( 'textSignature' ) ? 'html' : 'text',
+        }));
+    },
+
+    create: function () {
+        this.cancel();
+        return this.set( 'form', new IdentityForm() );
+    },
+
+    cancel: function () {
+        var form = this.get( 'form' );
+        if ( form ) {
+            this.set( 'form', null );
+            form.destroy();
+        }
+        return this;
+    },
+
+    // Reload the form from the saved identity
+    revert: function () {
+        var identity = this.get( 'selected' );
+        return identity ? this.select( identity ) : this.create();
+    },
+
+    save: function () {
+        var form = this.get( 'form' );
+        var identity, replyTo, bcc;
+        if ( !form || form.get( 'error' ) ) {
+            return this;
+        }
+        identity = form.get( 'identity' );
+        replyTo = App.parseAddresses( form.get( 'replyTo' ) );
+        bcc = App.parseAddresses( form.get( 'bcc' ) );
+        if ( !identity ) {
+            // The email address can't be changed once created
+            identity = new Identity( store )
+                .set( 'accountId',
+                    store.getPrimaryAccountIdForType( Identity ) )
+                .set( 'email', form.get( 'email' ).trim() );
+        }
+        identity
+            .set( 'name', form.get( 'name' ).trim() )
+            .set( 'replyTo', replyTo.length ? replyTo : null )
+            .set( 'bcc', bcc.length ? bcc : null )
+            .set( 'textSignature', form.get( 'textSignature' ) )
+            .set( 'htmlSignature', form.get( 'htmlSignature' ) );
+        if ( form.get( 'isNew' ) ) {
+            identity.saveToStore();
+        }
+        return this.select( identity );
+    },
+
+    destroyIdentity: function () {
+        var identity = this.get( 'selected' );
+        if ( !identity || !identity.get( 'mayDelete' ) ||
+                !confirm( 'Delete the identity ' +
+                    identity.get( 'nameAndEmail' ) + '?' ) ) {
+            return this;
+        }
+        this.cancel();
+        identity.destroy();
+        return this.edit();
+    },
+});
+
+// ---
+
+App.settings = new O.Object({
+
+    // The pane being shown in the settings screen, or '' if it's closed.
+    pane: '',
+
+    panes: [{
+        id: 'vacation',
+        label: 'Out of Office',
+        View: App.VacationView,
+        content: App.vacation,
+    }, {
+        id: 'identities',
+        label: 'Identities',
+        View: App.IdentitiesView,
+        content: App.identities,
+    }],
+
+    // Called with a pane id, or by a button with a pane property; defaults to
+    // the first pane.
+    show: function ( pane ) {
+        if ( pane instanceof O.ButtonView ) {
+            pane = pane.get( 'pane' );
+        }
+        return this.set( 'pane', pane || this.get( 'panes' )[0].id );
+    },
+
+    close: function () {
+        return this.set( 'pane', '' );
+    },
+
+    // Each pane's content edits a copy of the settings; start a fresh one when
+    // it's shown and throw away unsaved changes when it's hidden.
+    paneDidChange: function () {
+        var current = this.get( 'pane' );
+        this.get( 'panes' ).forEach( function ( pane ) {
+            if ( pane.id === current ) {
+                pane.content.edit();
+            } else {
+                pane.content.cancel();
+            }
+        });
+    }.observes( 'pane' ),
+});
+
+});
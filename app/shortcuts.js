@@ -0,0 +1,495 @@
+// -------------------------------------------------------------------------- \\
+// File: shortcuts.js                                                         \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js, actions.js, compose.js                   \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var lookupKey = O.DOMEvent.lookupKey;
+var ViewEventsController = O.ViewEventsController;
+
+// How long to wait for the second key of a sequence such as "g i" (ms)
+var SEQUENCE_TIMEOUT = 1500;
+
+// ---
+
+// The conversation open in the reading pane; actions apply to its last message
+var getOpenMessage = function () {
+    var list = App.state.get( 'threadMessageList' );
+    var length = list ? list.get( 'length' ) : 0;
+    var message = length ? list.getObjectAt( length - 1 ) : null;
+    return message && message.is( O.Status.READY ) ? message : null;
+};
+
+// Goes to the mailbox with the role in the account being viewed
+var goToRole = function ( role ) {
+    var mailbox = JMAP.mail.getMailboxForRole(
+            App.state.get( 'accountId' ), role );
+    if ( mailbox ) {
+        App.state.set( 'mailbox', mailbox );
+    }
+};
+
+var withOpenMessage = function ( fn ) {
+    return function () {
+        var message = getOpenMessage();
+        if ( message ) {
+            fn( message );
+        }
+    };
+};
+
+// Each command has a default key, which the user may change. A key containing
+// a space is a sequence: press the first key, then the second.
+var commands = [
+    // Navigation
+    {
+        id: 'next',
+        group: 'Navigation',
+        label: 'Next conversation',
+        key: 'j',
+        run: function () {
+            App.state.goNext();
+        },
+    },
+    {
+        id: 'previous',
+        group: 'Navigation',
+        label: 'Previous conversation',
+        key: 'k',
+        run: function () {
+            App.state.goPrev();
+        },
+    },
+    {
+        id: 'refresh',
+        group: 'Navigation',
+        label: 'Check for new mail',
+        key: 'u',
+        run: function () {
+            App.state.refresh();
+        },
+    },
+    {
+        id: 'goInbox',
+        group: 'Navigation',
+        label: 'Go to Inbox',
+        key: 'g i',
+        run: function () {
+            goToRole( 'inbox' );
+        },
+    },
+    {
+        id: 'goFlagged',
+        group: 'Navigation',
+        label: 'Go to flagged messages',
+        key: 'g s',
+        run: function () {
+            App.state.set( 'searchText', 'is:flagged' ).search();
+        },
+    },
+    {
+        id: 'goSent',
+        group: 'Navigation',
+        label: 'Go to Sent',
+        key: 'g t',
+        run: function () {
+            goToRole( 'sent' );
+        },
+    },
+    {
+        id: 'goDrafts',
+        group: 'Navigation',
+        label: 'Go to Drafts',
+        key: 'g d',
+        run: function () {
+            goToRole( 'drafts' );
+        },
+    },
+    {
+        id: 'goArchive',
+        group: 'Navigation',
+        label: 'Go to Archive',
+        key: 'g a',
+        run: function () {
+            goToRole( 'archive' );
+        },
+    },
+    {
+        id: 'selectAll',
+        group: 'Navigation',
+        label: 'Select all conversations',
+        key: 'Cmd-a',
+        run: function () {
+            App.state.selection.selectAll();
+        },
+    },
+    {
+        id: 'help',
+        group: 'Navigation',
+        label: 'Show keyboard shortcuts',
+        key: '?',
+        run: function () {
+            App.shortcuts.toggle( 'isShowingHelp' );
+        },
+    },
+    // Actions
+    {
+        id: 'compose',
+        group: 'Actions',
+        label: 'Compose',
+        key: 'c',
+        run: function () {
+            App.composer.compose();
+        },
+    },
+    {
+        id: 'reply',
+        group: 'Actions',
+        label: 'Reply',
+        key: 'r',
+        run: withOpenMessage( function ( message ) {
+            App.composer.reply( message, false );
+        }),
+    },
+    {
+        id: 'replyAll',
+        group: 'Actions',
+        label: 'Reply all',
+        key: 'a',
+        run: withOpenMessage( function ( message ) {
+            App.composer.replyAll( message );
+        }),
+    },
+    {
+        id: 'forward',
+        group: 'Actions',
+        label: 'Forward',
+        key: 'f',
+        run: withOpenMessage( function ( message ) {
+            App.composer.forward( message );
+        }),
+    },
+    {
+        id: 'archive',
+        group: 'Actions',
+        label: 'Archive',
+        key: 'e',
+        run: function () {
+            App.actions.archive();
+        },
+    },
+    {
+        id: 'delete',
+        group: 'Actions',
+        label: 'Delete',
+        key: '#',
+        run: function () {
+            App.actions.deleteToTrash();
+        },
+    },
+    {
+        id: 'spam',
+        group: 'Actions',
+        label: 'Report spam (or not spam in Junk)',
+        key: '!',
+        run: function () {
+            if ( App.state.get( 'isJunkMailbox' ) ) {
+                App.actions.reportNotSpam();
+            } else {
+                App.actions.reportSpam();
+            }
+        },
+    },
+    {
+        id: 'flag',
+        group: 'Actions',
+        label: 'Flag or unflag',
+        key: 's',
+        run: function () {
+            App.actions.toggleFlag();
+        },
+    },
+    {
+        id: 'read',
+        group: 'Actions',
+        label: 'Mark as read',
+        key: 'Shift-I',
+        run: function () {
+            App.actions.read();
+        },
+    },
+    {
+        id: 'unread',
+        group: 'Actions',
+        label: 'Mark as unread',
+        key: 'Shift-U',
+        run: function () {
+            App.actions.unread();
+        },
+    },
+    {
+        id: 'move',
+        group: 'Actions',
+        label: 'Move to…',
+        key: 'v',
+        run: function () {
+            App.views.moveButton.activate();
+        },
+    },
+    {
+        id: 'copy',
+        group: 'Actions',
+        label: 'Copy to…',
+        key: 'l',
+        run: function () {
+            App.views.copyButton.activate();
+        },
+    },
+    {
+        id: 'snooze',
+        group: 'Actions',
+        label: 'Snooze…',
+        key: 'b',
+        run: function () {
+            App.views.snoozeButton.activate();
+        },
+    },
+    {
+        id: 'undo',
+        group: 'Actions',
+        label: 'Undo',
+        key: 'Cmd-z',
+        run: function () {
+            JMAP.mail.undoManager.undo();
+        },
+    },
+    {
+        id: 'redo',
+        group: 'Actions',
+        label: 'Redo',
+        key: 'Cmd-Shift-Z',
+        run: function () {
+            JMAP.mail.undoManager.redo();
+        },
+    },
+];
+
+var defaultKeys = commands.reduce( function ( keys, command ) {
+    keys[ command.id ] = command.key;
+    return keys;
+}, {} );
+
+// Only the user's changes from the defaults are stored
+var storage = new O.LocalStorage( 'shortcuts', false, {
+    keys: {},
+});
+
+// "Shift-I" -> "Shift+I", "g i" -> "g then i", "Meta-z" -> "⌘z"
+var formatKey = function ( key ) {
+    return key ? key
+        .replace( /Meta-/g, '⌘' )
+        .replace( /-(?=.)/g, '+' )
+        .replace( ' ', ' then ' ) : 'None';
+};
+
+// ---
+
+App.shortcuts = new O.Object({
+
+    commands: commands,
+
+    isShowingHelp: false,
+
+    // The command we're waiting on a key press to rebind, if any
+    recording: null,
+    _recorded: '',
+    _final: '',
+    _recordTimer: null,
+
+    // Keys registered with App.kbshortcuts, so they can be removed again
+    _registered: [],
+    _sequences: {},
+    _pendingSequence: null,
+    _sequenceTimer: null,
+
+    formatKey: formatKey,
+
+    keys: function () {
+        return O.extend( O.clone( defaultKeys ), storage.get( 'keys' ) );
+    }.property().nocache(),
+
+    // --- Registration ---
+
+    register: function () {
+        var kbshortcuts = App.kbshortcuts;
+        var keys = this.get( 'keys' );
+        var registered = this._registered;
+        var sequences = this._sequences = {};
+
+        registered.forEach( function ( args ) {
+            kbshortcuts.deregister( args[0], args[1], args[2] );
+        });
+        registered.length = 0;
+
+        commands.forEach( function ( command ) {
+            var key = keys[ command.id ];
+            var parts, first;
+            if ( !key ) {
+                return;
+            }
+            parts = key.split( ' ' );
+            if ( parts.length > 1 ) {
+                first = parts[0];
+                if ( !sequences[ first ] ) {
+                    sequences[ first ] = {};
+                    registered.push([ first, this, 'startSequence' ]);
+                }
+                sequences[ first ][ parts[1] ] = command;
+            } else {
+                registered.push([ key, command, 'run' ]);
+            }
+        }, this );
+
+        registered.forEach( function ( args ) {
+            kbshortcuts.register( args[0], args[1], args[2] );
+        });
+        return this;
+    },
+
+    startSequence: function ( event ) {
+        var kbshortcuts = App.kbshortcuts;
+        var pending = this._sequences[ lookupKey( event ) ];
+        this.cancelSequence();
+        if ( !pending ) {
+            return;
+        }
+        // Temporarily take over the second keys of the sequence
+        this._pendingSequence = pending;
+        Object.keys( pending ).forEach( function ( key ) {
+            kbshortcuts.register( key, this, 'finishSequence' );
+        }, this );
+        this._sequenceTimer = O.RunLoop.invokeAfterDelay(
+            this.cancelSequence, SEQUENCE_TIMEOUT, this );
+    },
+
+    finishSequence: function ( event ) {
+        var pending = this._pendingSequence;
+        var command = pending && pending[ lookupKey( event ) ];
+        this.cancelSequence();
+        if ( command ) {
+            command.run( event );
+        }
+    },
+
+    cancelSequence: function () {
+        var kbshortcuts = App.kbshortcuts;
+        var pending = this._pendingSequence;
+        if ( pending ) {
+            Object.keys( pending ).forEach( function ( key ) {
+                kbshortcuts.deregister( key, this, 'finishSequence' );
+            }, this );
+            this._pendingSequence = null;
+        }
+        O.RunLoop.cancel( this._sequenceTimer );
+        this._sequenceTimer = null;
+    },
+
+    // --- Remapping ---
+
+    setKey: function ( id, key ) {
+        var keys = O.clone( storage.get( 'keys' ) );
+        var current = this.get( 'keys' );
+        // A key can only do one thing, so unbind anything else using it
+        Object.keys( current ).forEach( function ( otherId ) {
+            if ( otherId !== id && current[ otherId ] === key ) {
+                keys[ otherId ] = '';
+            }
+        });
+        keys[ id ] = key;
+        Object.keys( keys ).forEach( function ( commandId ) {
+            if ( keys[ commandId ] === defaultKeys[ commandId ] ) {
+                delete keys[ commandId ];
+            }
+        });
+        storage.set( 'keys', keys );
+        this.propertyDidChange( 'keys' );
+        return this.register();
+    },
+
+    resetKeys: function () {
+        storage.set( 'keys', {} );
+        this.propertyDidChange( 'keys' );
+        return this.register();
+    },
+
+    startRecording: function ( command ) {
+        this.stopRecording();
+        this.set( 'recording', command );
+        this._recorded = '';
+        this._final = '';
+        // Get key presses before anything else
+        ViewEventsController.addEventTarget( this, 100 );
+        return this;
+    },
+
+    stopRecording: function () {
+        if ( this.get( 'recording' ) ) {
+            ViewEventsController.removeEventTarget( this );
+            O.RunLoop.cancel( this._recordTimer );
+            this._recordTimer = null;
+            this.set( 'recording', null );
+        }
+        return this;
+    },
+
+    // Swallows all key presses while recording, so they don't trigger the
+    // existing shortcuts. Waits briefly after the first key in case this is a
+    // sequence. The new binding is only applied on keyup, so the keypress that
+    // follows can't trigger it straight away.
+    recordKey: function ( event ) {
+        var type = event.type;
+        var key = lookupKey( event );
+        var command = this.get( 'recording' );
+        event.preventDefault();
+        event.stopPropagation();
+        if ( type === 'keyup' ) {
+            if ( this._final ) {
+                this.stopRecording().setKey( command.id, this._final );
+            }
+            return;
+        }
+        if ( type !== 'keydown' || this._final ||
+                /^(?:(?:Alt|Ctrl|Meta|Shift)-)*(?:Alt|Control|Meta|Shift)$/
+                    .test( key ) ) {
+            return;
+        }
+        if ( key === 'Escape' && !this._recorded ) {
+            this.stopRecording();
+            return;
+        }
+        // Shift is implied by punctuation such as "#" or "?"
+        key = key.replace( /^Shift-(?=[^A-Za-z0-9]$)/, '' );
+        O.RunLoop.cancel( this._recordTimer );
+        if ( this._recorded ) {
+            this._final = this._recorded + ' ' + key;
+        } else if ( key.length > 1 && /-/.test( key ) ) {
+            this._final = key;
+        } else {
+            this._recorded = key;
+            this._recordTimer = O.RunLoop.invokeAfterDelay( function () {
+                this.stopRecording().setKey( command.id, key );
+            }, SEQUENCE_TIMEOUT, this );
+        }
+    }.on( 'keydown', 'keypress', 'keyup' ),
+
+    hideHelp: function () {
+        this.stopRecording();
+        return this.set( 'isShowingHelp', false );
+    },
+}).register();
+
+});
@@ -0,0 +1,306 @@
+// -------------------------------------------------------------------------- \\
+// File: snooze.js                                                            \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js, actions.js                               \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP */
+
+O.RunLoop.invoke( function () {
+
+var store = JMAP.store;
+var Mailbox = JMAP.Mailbox;
+var Message = JMAP.Message;
+
+var READY = O.Status.READY;
+
+// --- Snooze details ---
+
+// The library has no attribute for the Email "snoozed" property, so the app
+// fetches and sets it itself, as raw data in the store:
+// { until: UTCDate, moveToMailboxId: Id|null }. Changes are sent with the
+// message's next commit; observers of the message are told of them under the
+// key "snoozed".
+
+var setSnoozed = function ( message, until, moveToMailboxId ) {
+    store.updateData( message.get( 'storeKey' ), {
+        snoozed: until ? {
+            until: Date.toUTCJSON( until ),
+            moveToMailboxId: moveToMailboxId || null,
+        } : null,
+    }, true );
+    message.propertyDidChange( 'snoozed' );
+};
+
+// --- Presets ---
+
+var getPresets = function () {
+    var now = new Date();
+    var laterToday = new Date( now ).add( 3, 'hour' );
+    var tomorrow = new Date( now ).add( 1, 'day' );
+    var nextWeek = new Date( now ).add( ( 8 - now.getDay() ) % 7 || 7, 'day' );
+    var presets = [];
+    laterToday.setMinutes( 0, 0, 0 );
+    tomorrow.setHours( 8, 0, 0, 0 );
+    nextWeek.setHours( 8, 0, 0, 0 );
+    if ( laterToday.isOnSameDayAs( now ) ) {
+        presets.push({
+            label: 'Later today',
+            until: laterToday,
+        });
+    }
+    presets.push({
+        label: 'Tomorrow',
+        until: tomorrow,
+    }, {
+        label: 'Next week',
+        until: nextWeek,
+    });
+    return presets;
+};
+
+// Parses the value of a datetime-local input as a local time.
+var parseTime = function ( value ) {
+    var match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec( value );
+    return match ? new Date( +match[1], match[2] - 1, +match[3],
+        +match[4], +match[5] ) : null;
+};
+
+var formatWakeTime = function ( date ) {
+    return date.isToday() ?
+        O.i18n.date( date, 'time' ) :
+        date.format( '%a ' ) + O.i18n.date( date, 'time' );
+};
+
+// ---
+
+App.snooze = new O.Object({
+
+    // The Snoozed mailbox, or null if the server doesn't have one
+    mailbox: null,
+
+    // Store keys for the custom time being chosen; null for the selection.
+    storeKeys: null,
+    isChoosingTime: false,
+    // The value of the datetime-local input
+    customTime: '',
+
+    getPresets: getPresets,
+    formatWakeTime: formatWakeTime,
+    parseTime: parseTime,
+
+    // Store key -> the message, for those whose snooze details are being
+    // fetched or waiting to be
+    _toFetch: {},
+    _fetching: {},
+
+    mailboxesDidChange: function () {
+        return this.set( 'mailbox',
+            JMAP.mail.getMailboxForRole( null, 'snoozed' ) );
+    },
+
+    // Returns { until, moveToMailboxId } for a snoozed message, or null. If
+    // they haven't been fetched yet, this fetches them and returns null for
+    // now; observers of the message are told when they arrive.
+    getDetails: function ( message ) {
+        var storeKey = message.get( 'storeKey' );
+        var data = store.getData( storeKey );
+        var snoozed;
+        if ( !data ) {
+            return null;
+        }
+        if ( !( 'snoozed' in data ) ) {
+            if ( !this._fetching[ storeKey ] ) {
+                this._toFetch[ storeKey ] = message;
+                this.fetchDetails();
+            }
+            return null;
+        }
+        snoozed = data.snoozed;
+        return snoozed ? {
+            until: Date.fromJSON( snoozed.until ),
+            moveToMailboxId: snoozed.moveToMailboxId || null,
+        } : null;
+    },
+
+    fetchDetails: function () {
+        var toFetch = this._toFetch;
+        var fetching = this._fetching;
+        var byAccount = {};
+        this._toFetch = {};
+        Object.keys( toFetch ).forEach( function ( storeKey ) {
+            var message = toFetch[ storeKey ];
+            var accountId = message.get( 'accountId' );
+            // Snoozed or unsnoozed since being asked for
+            if ( 'snoozed' in ( store.getData( storeKey ) || {} ) ) {
+                return;
+            }
+            fetching[ storeKey ] = message;
+            ( byAccount[ accountId ] || ( byAccount[ accountId ] = [] ) )
+                .push( message.get( 'id' ) );
+        });
+        Object.keys( byAccount ).forEach( function ( accountId ) {
+            var ids = byAccount[ accountId ];
+            JMAP.mail.callMethod( 'Email/get', {
+                accountId: accountId,
+                ids: ids,
+                properties: [ 'snoozed' ],
+            }, function () {
+                ids.forEach( function ( id ) {
+                    var storeKey = store.getStoreKey( accountId, Message, id );
+                    var message = fetching[ storeKey ];
+                    var data = store.getData( storeKey );
+                    delete fetching[ storeKey ];
+                    // Not found, or the server doesn't know the property
+                    if ( data && !( 'snoozed' in data ) &&
+                            store.getStatus( storeKey ) & READY ) {
+                        store.updateData( storeKey, { snoozed: null }, false );
+                    }
+                    message.propertyDidChange( 'snoozed' );
+                });
+            });
+        });
+    }.queue( 'after' ),
+
+    // Moves the messages from the mailbox they're being viewed in (if any) to
+    // the Snoozed mailbox, remembering where to return them to. Messages
+    // already snoozed just get the new wake-up time.
+    snoozeMessages: function ( messages, until, fromMailbox ) {
+        var snoozedMailbox = this.get( 'mailbox' );
+        var inbox = JMAP.mail.getMailboxForRole( null, 'inbox' );
+        var moved = [];
+        if ( !snoozedMailbox ||
+                !snoozedMailbox.get( 'myRights' ).mayAddItems ||
+                ( fromMailbox &&
+                    !fromMailbox.get( 'myRights' ).mayRemoveItems ) ) {
+            return this;
+        }
+        messages.forEach( function ( message ) {
+            var mailboxes = message.get( 'mailboxes' );
+            var snoozed = this.getDetails( message );
+            var index = fromMailbox ? mailboxes.indexOf( fromMailbox ) : -1;
+            // The Snoozed mailbox is in the user's own account, so messages
+            // in shared accounts can't be moved to it.
+            if ( ( fromMailbox && index < 0 ) || message.get( 'accountId' ) !==
+                    snoozedMailbox.get( 'accountId' ) ) {
+                return;
+            }
+            setSnoozed( message, until,
+                snoozed ? snoozed.moveToMailboxId :
+                fromMailbox && fromMailbox !== inbox ?
+                    fromMailbox.get( 'id' ) : null
+            );
+            if ( fromMailbox !== snoozedMailbox &&
+                    !mailboxes.contains( snoozedMailbox ) ) {
+                mailboxes.replaceObjectsAt(
+                    index > -1 ? index : mailboxes.get( 'length' ),
+                    index > -1 ? 1 : 0,
+                    [ snoozedMailbox ]
+                );
+                moved.push( message );
+            }
+        }, this );
+        if ( moved.length ) {
+            // Undoing takes them back out with JMAP.mail.move. That leaves
+            // the snooze details, but they only mean anything in the Snoozed
+            // mailbox. (It can't be redone, as that would mean snoozing them
+            // again.)
+            JMAP.mail.undoManager.pushUndoData({
+                method: 'move',
+                messageSKs: moved.map( function ( message ) {
+                    return message.get( 'storeKey' );
+                }),
+                args: [ null, fromMailbox, snoozedMailbox, false ],
+            });
+            // Without JMAP.mail.move, the counts and lists can't be updated
+            // ahead of the server, so fetch them once it has the change.
+            JMAP.mail.addCallback( function () {
+                var list = App.state.get( 'mailboxMessageList' );
+                snoozedMailbox.fetch();
+                if ( fromMailbox ) {
+                    fromMailbox.fetch();
+                }
+                if ( list ) {
+                    list.refresh( true );
+                }
+            });
+        }
+        return this;
+    },
+
+    // Returns the messages to the destination, if given, or else to where
+    // they were snoozed from (or the inbox), and clears their snooze details.
+    unsnoozeMessages: function ( messages, destination ) {
+        var snoozedMailbox = this.get( 'mailbox' );
+        var byDestination = {};
+        messages.forEach( function ( message ) {
+            var snoozed = destination ? null : this.getDetails( message );
+            var id = destination ? destination.get( 'id' ) :
+                    snoozed && snoozed.moveToMailboxId || '';
+            if ( message.get( 'mailboxes' ).contains( snoozedMailbox ) ) {
+                ( byDestination[ id ] || ( byDestination[ id ] = [] ) )
+                    .push( message );
+            }
+        }, this );
+        Object.keys( byDestination ).forEach( function ( id ) {
+            var mailbox = id ?
+                    store.getRecord( null, Mailbox, id ) :
+                    JMAP.mail.getMailboxForRole( null, 'inbox' );
+            // No undo: the inverse would have to snooze them again, which
+            // JMAP.mail.move can't do.
+            JMAP.mail.move(
+                byDestination[ id ], mailbox, snoozedMailbox, false );
+            byDestination[ id ].forEach( function ( message ) {
+                setSnoozed( message, null );
+            });
+        });
+        return this;
+    },
+
+    // --- Custom time ---
+
+    chooseTime: function ( storeKeys ) {
+        var tomorrow = new Date().add( 1, 'day' );
+        if ( !( storeKeys instanceof Array ) ) {
+            storeKeys = null;
+        }
+        tomorrow.setHours( 8, 0, 0, 0 );
+        return this.beginPropertyChanges()
+            .set( 'storeKeys', storeKeys )
+            .set( 'customTime', tomorrow.format( '%Y-%m-%dT%H:%M' ) )
+            .set( 'isChoosingTime', true )
+            .endPropertyChanges();
+    },
+
+    customUntil: function () {
+        return parseTime( this.get( 'customTime' ) );
+    }.property( 'customTime' ),
+
+    customError: function () {
+        var until = this.get( 'customUntil' );
+        if ( !until ) {
+            return 'Choose a date and time.';
+        }
+        if ( until <= new Date() ) {
+            return 'Choose a time in the future.';
+        }
+        return '';
+    }.property( 'customUntil' ),
+
+    snoozeUntilCustomTime: function () {
+        if ( !this.get( 'customError' ) ) {
+            App.actions.snooze(
+                this.get( 'storeKeys' ), this.get( 'customUntil' ) );
+            this.cancel();
+        }
+        return this;
+    },
+
+    cancel: function () {
+        return this.set( 'isChoosingTime', false )
+            .set( 'storeKeys', null );
+    },
+});
+store.on( Mailbox, App.snooze, 'mailboxesDidChange' );
+
+});
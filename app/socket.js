@@ -0,0 +1,258 @@
+// -------------------------------------------------------------------------- \\
+// File: socket.js                                                            \\
+// Module: Mail                                                               \\
+// Requires: namespace.js, state.js                                           \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App, JMAP, WebSocket */
+
+O.RunLoop.invoke( function () {
+
+var auth = JMAP.auth;
+
+// JMAP over WebSocket (RFC 8887)
+var CAPABILITY = 'urn:ietf:params:jmap:websocket';
+
+// How long to wait before trying the WebSocket again after it closes or fails
+// to open, doubling each time up to the maximum (s). Meanwhile everything
+// goes over HTTP, with push over the EventSource.
+var RETRY_DELAY = 15;
+var MAX_RETRY_DELAY = 300;
+
+// Browsers can't set headers on a WebSocket, so an OAuth access token goes in
+// the URL (RFC 6750, section 2.3). Otherwise the server has to recognise the
+// browser some other way, such as a cookie.
+var getUrl = function ( url ) {
+    var accessToken = auth.get( 'accessToken' );
+    if ( accessToken.startsWith( 'Bearer ' ) ) {
+        url += ( url.includes( '?' ) ? '&' : '?' ) + 'access_token=' +
+            encodeURIComponent( accessToken.slice( 7 ) );
+    }
+    return url;
+};
+
+// ---
+
+App.socket = new O.Object({
+
+    isAuthenticated: O.bind( auth, 'isAuthenticated' ),
+
+    // { url, supportsPush } if the server supports JMAP over WebSocket
+    capability: O.bind( auth, 'capabilities', function ( capabilities ) {
+        return capabilities && capabilities[ CAPABILITY ] || null;
+    }),
+
+    isOpen: false,
+    // Whether changes are being pushed over the socket rather than the
+    // EventSource
+    isPushing: false,
+
+    _socket: null,
+    _nextId: 0,
+    // Request id -> { connection, resend, timer } for each request waiting
+    // for its response
+    _requests: {},
+    // From the last StateChange, so reconnecting catches up on any missed
+    _pushState: '',
+
+    _retryDelay: RETRY_DELAY,
+    _retryTimer: null,
+
+    sessionDidChange: function () {
+        if ( !this.get( 'isAuthenticated' ) || !this.get( 'capability' ) ) {
+            this.disconnect();
+        } else if ( !this._socket && !this._retryTimer ) {
+            this.connect();
+        }
+    }.observes( 'isAuthenticated', 'capability' ),
+
+    connect: function () {
+        var socket;
+        this._retryTimer = null;
+        try {
+            socket = new WebSocket(
+                getUrl( this.get( 'capability' ).url ), 'jmap' );
+        } catch ( error ) {
+            this.retryLater();
+            return this;
+        }
+        socket.addEventListener( 'open', this, false );
+        socket.addEventListener( 'message', this, false );
+        socket.addEventListener( 'close', this, false );
+        this._socket = socket;
+        return this;
+    },
+
+    disconnect: function () {
+        var socket = this._socket;
+        O.RunLoop.cancel( this._retryTimer );
+        this._retryTimer = null;
+        if ( socket ) {
+            socket.removeEventListener( 'open', this, false );
+            socket.removeEventListener( 'message', this, false );
+            socket.removeEventListener( 'close', this, false );
+            socket.close();
+            this.socketDidClose();
+        }
+        return this;
+    },
+
+    retryLater: function () {
+        if ( this.get( 'isAuthenticated' ) && this.get( 'capability' ) ) {
+            this._retryTimer = O.RunLoop.invokeAfterDelay(
+                this.connect, this._retryDelay * 1000, this );
+            this._retryDelay =
+                Math.min( this._retryDelay * 2, MAX_RETRY_DELAY );
+        }
+        return this;
+    },
+
+    handleEvent: function ( event ) {
+        switch ( event.type ) {
+        case 'open':
+            this.socketDidOpen();
+            break;
+        case 'message':
+            this.socketDidReceive( event.data );
+            break;
+        case 'close':
+            this.socketDidClose()
+                .retryLater();
+            break;
+        }
+    }.invokeInRunLoop(),
+
+    socketDidOpen: function () {
+        var pushState = this._pushState;
+        this._retryDelay = RETRY_DELAY;
+        this.set( 'isOpen', true );
+        if ( this.get( 'capability' ).supportsPush ) {
+            this._socket.send( JSON.stringify({
+                '@type': 'WebSocketPushEnable',
+                dataTypes: null,
+                pushState: pushState || undefined,
+            }) );
+            this.set( 'isPushing', true );
+            App.push.close();
+        }
+    },
+
+    // Sends any requests still waiting over HTTP instead, and falls back to
+    // the EventSource
+    socketDidClose: function () {
+        var requests = this._requests;
+        this._socket = null;
+        this._requests = {};
+        this.set( 'isOpen', false );
+        if ( this.get( 'isPushing' ) ) {
+            this.set( 'isPushing', false );
+            App.push.openIfUrl();
+        }
+        Object.keys( requests ).forEach( function ( id ) {
+            var request = requests[ id ];
+            O.RunLoop.cancel( request.timer );
+            request.resend();
+        });
+        return this;
+    },
+
+    socketDidReceive: function ( text ) {
+        var data;
+        try {
+            data = JSON.parse( text );
+        } catch ( error ) {
+            O.RunLoop.didError({
+                name: 'App.socket#socketDidReceive',
+                message: 'Invalid JSON',
+                details: 'Arg:\n' + text + '\n\n',
+            });
+            return;
+        }
+        switch ( data[ '@type' ] ) {
+        case 'Response':
+        case 'RequestError':
+            this.didReceive( data.requestId, data[ '@type' ] === 'Response' ?
+                200 : data.status || 400, data );
+            break;
+        case 'StateChange':
+            if ( data.pushState ) {
+                this._pushState = data.pushState;
+            }
+            App.push.didChange( data.changed || {} );
+            break;
+        }
+    },
+
+    // Whether requests can go over the socket. It may be closing but not yet
+    // have told us.
+    canSend: function () {
+        var socket = this._socket;
+        return !!socket && socket.readyState === WebSocket.OPEN;
+    },
+
+    // Sends the connection's JMAP request over the socket. Returns a promise
+    // for the request body as it would be sent over HTTP, which resolves only
+    // if the socket closes before the response arrives.
+    send: function ( connection, request, data ) {
+        var requests = this._requests;
+        var id = 'r' + ( this._nextId += 1 );
+        this._socket.send( JSON.stringify( Object.assign({
+            '@type': 'Request',
+            id: id,
+        }, request ) ) );
+        return new Promise( function ( resolve ) {
+            requests[ id ] = {
+                connection: connection,
+                resend: function () {
+                    resolve( data );
+                },
+                timer: O.RunLoop.invokeAfterDelay( function () {
+                    this.didReceive( id, 0, null );
+                }, connection.get( 'timeout' ), this ),
+            };
+        }.bind( this ) );
+    },
+
+    // Hands the response to the connection, as its HttpRequest would have. A
+    // status of 0 means it timed out, which the connection retries.
+    didReceive: function ( id, status, data ) {
+        var request = this._requests[ id ];
+        var connection, event;
+        if ( !request ) {
+            return this;
+        }
+        delete this._requests[ id ];
+        O.RunLoop.cancel( request.timer );
+        connection = request.connection;
+        event = {
+            target: connection.get( 'inFlightRequest' ),
+            status: status,
+            headers: {},
+            data: data,
+        };
+        if ( status === 200 ) {
+            connection.ioDidSucceed( event );
+        } else {
+            connection.ioDidFail( event );
+        }
+        connection.ioDidEnd( event );
+        return this;
+    },
+});
+
+// JMAP.Connection#send makes its own O.HttpRequest, but waits to send it if
+// willSendRequest returns a promise for the body. So while the socket is open,
+// each connection's request goes over it instead, and the HttpRequest is only
+// sent if the socket closes first.
+[ JMAP.mail, JMAP.contacts, JMAP.calendar, JMAP.peripheral ].forEach(
+function ( connection ) {
+    connection.willSendRequest = function ( request, headers ) {
+        var data = JMAP.Connection.prototype.willSendRequest.call(
+            this, request, headers );
+        return App.socket.canSend() ?
+            App.socket.send( this, request, data ) :
+            data;
+    };
+});
+
+});
@@ -1,15 +1,16 @@
 // -------------------------------------------------------------------------- \\
 // File: state.js                                                             \\
 // Module: Mail                                                               \\
-// Requires: namespace.js                                                     \\
+// Requires: namespace.js, search.js                                          \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, App, JMAP, btoa, location */
+/*global O, App, JMAP, location */
 
 O.RunLoop.invoke( function () {
 
 var i18n = O.i18n;
 var Status = O.Status;
+var READY = Status.READY;
 var LOADING = Status.LOADING;
 var EMPTY_OR_OBSOLETE = Status.EMPTY | Status.OBSOLETE;
 
@@ -76,6 +77,16 @@ var rootMailboxes = store.getQuery( 'rootMailboxes', O.LocalQuery, {
     sort: Mailbox.bySortOrderRoleOrName,
 });
 
+// Account id -> the mailboxes of that account, in the same order as
+// allMailboxes. Created as the sidebar asks for them.
+var accountMailboxes = {};
+
+var isInAccount = function ( accountId ) {
+    return function ( mailbox ) {
+        return mailbox.get( 'accountId' ) === accountId;
+    };
+};
+
 var allMailboxes = new O.ObservableArray( null, {
     content: store.getQuery( 'allMailboxes', O.LocalQuery, {
         Type: Mailbox,
@@ -83,11 +94,194 @@ var allMailboxes = new O.ObservableArray( null, {
     contentDidChange: function () {
         var mailboxes = this.get( 'content' ).get( '[]' );
         mailboxes.sort( byMailSourceOrder );
+        Object.keys( accountMailboxes ).forEach( function ( accountId ) {
+            accountMailboxes[ accountId ].set( '[]',
+                mailboxes.filter( isInAccount( accountId ) ) );
+        });
         return this.set( '[]', mailboxes );
     }.queue( 'before' ),
 }).contentDidChange();
 store.on( Mailbox, allMailboxes, 'contentDidChange' );
 
+var getAccountMailboxes = function ( accountId ) {
+    return accountMailboxes[ accountId ] ||
+        ( accountMailboxes[ accountId ] = new O.ObservableArray(
+            allMailboxes.filter( isInAccount( accountId ) ) ) );
+};
+
+// The id of the mailbox a message list filter is limited to, if any. The
+// quick filters AND further conditions onto the mailbox one.
+var getFilterMailboxId = function ( filter ) {
+    if ( !filter ) {
+        return null;
+    }
+    if ( filter.operator === 'AND' ) {
+        return filter.conditions.reduce( function ( mailboxId, condition ) {
+            return mailboxId || getFilterMailboxId( condition );
+        }, null );
+    }
+    return filter.inMailbox || null;
+};
+
+// Whether the message matches a message list filter, as far as can be told
+// here; conditions the server has to check (such as text) count as matching.
+var matchesFilter = function ( message, filter ) {
+    var keywords, mailboxSK;
+    var matches = function ( condition ) {
+        return matchesFilter( message, condition );
+    };
+    switch ( filter.operator ) {
+    case 'AND':
+        return filter.conditions.every( matches );
+    case 'OR':
+        return filter.conditions.some( matches );
+    case 'NOT':
+        return !filter.conditions.some( matches );
+    }
+    keywords = message.get( 'keywords' );
+    if ( filter.inMailbox ) {
+        mailboxSK = store.getStoreKey(
+            message.get( 'accountId' ), Mailbox, filter.inMailbox );
+        if ( !store.getData( message.get( 'storeKey' ) )
+                .mailboxIds[ mailboxSK ] ) {
+            return false;
+        }
+    }
+    if ( ( filter.hasKeyword && !keywords[ filter.hasKeyword ] ) ||
+            ( filter.notKeyword && keywords[ filter.notKeyword ] ) ) {
+        return false;
+    }
+    if ( 'hasAttachment' in filter &&
+            message.get( 'hasAttachment' ) !== filter.hasAttachment ) {
+        return false;
+    }
+    if ( filter.from ) {
+        return ( message.get( 'from' ) || [] ).some( function ( address ) {
+            return address.email.toLowerCase().includes(
+                filter.from.toLowerCase() );
+        });
+    }
+    return true;
+};
+
+// Shown when the quick filters can't match anything, so there's no need to
+// ask the server.
+var EmptyList = O.Class({
+
+    Extends: O.Query,
+
+    monitorForChanges: function () {},
+    unmonitorForChanges: function () {},
+
+    fetch: function ( force, callback ) {
+        if ( !this.is( READY ) ) {
+            this.sourceDidFetchQuery( [], '' );
+        }
+        if ( callback ) {
+            callback();
+        }
+        return this;
+    },
+});
+
+// The accounts with mail: the user's own first, then any others they've been
+// given access to, by name.
+var accounts = new O.ObservableArray( null, {
+    accountsDidChange: function () {
+        var all = JMAP.auth.get( 'accounts' ) || {};
+        var primaryId =
+                JMAP.auth.getAccountId( true, JMAP.auth.MAIL_DATA );
+        return this.set( '[]', Object.keys( all ).filter( function ( id ) {
+            return !!all[ id ].accountCapabilities[ JMAP.auth.MAIL_DATA ];
+        }).map( function ( id ) {
+            return {
+                id: id,
+                name: all[ id ].name,
+                isPrimary: id === primaryId,
+                isPersonal: all[ id ].isPersonal,
+                isReadOnly: all[ id ].isReadOnly,
+            };
+        }).sort( function ( a, b ) {
+            return ( b.isPrimary - a.isPrimary ) ||
+                ( b.isPersonal - a.isPersonal ) ||
+                i18n.compare( a.name, b.name );
+        }) );
+    },
+});
+JMAP.auth.addObserverForKey( 'accounts', accounts, 'accountsDidChange' );
+
+// The ids of the accounts whose mailboxes are hidden in the sidebar
+var collapsedAccounts = new O.LocalStorage( 'collapsedAccounts', false, {
+    ids: [],
+});
+
+// Per-mailbox list preferences, keyed by mailbox id (or "search" for search
+// results).
+var mailboxSettings = new O.LocalStorage( 'mailboxSettings', false, {} );
+
+var getMailboxSetting = function ( key, name, defaultValue ) {
+    var settings = key ? mailboxSettings.get( key ) : null;
+    return settings && ( name in settings ) ? settings[ name ] : defaultValue;
+};
+
+var setMailboxSetting = function ( key, name, value ) {
+    var settings;
+    if ( key ) {
+        settings = O.clone( mailboxSettings.get( key ) || {} );
+        settings[ name ] = value;
+        mailboxSettings.set( key, settings );
+    }
+};
+
+// Returns a computed property for a per-mailbox setting. The default may be a
+// function, called on the state object.
+var mailboxSetting = function ( name, defaultValue ) {
+    return function ( value ) {
+        var key = this.get( 'settingsKey' );
+        if ( value !== undefined ) {
+            setMailboxSetting( key, name, value );
+        } else {
+            value = getMailboxSetting( key, name,
+                typeof defaultValue === 'function' ?
+                    defaultValue.call( this ) : defaultValue );
+        }
+        return value;
+    }.property( 'settingsKey' );
+};
+
+// The orders the mailbox list can be sorted in. isAscending is the default
+// direction when the sort is first chosen.
+var SORTS = [
+    { id: 'date', label: 'Date', isAscending: false },
+    { id: 'from', label: 'Sender', isAscending: true },
+    { id: 'subject', label: 'Subject', isAscending: true },
+    { id: 'size', label: 'Size', isAscending: false },
+    { id: 'flagged', label: 'Flagged', isAscending: false },
+    { id: 'unread', label: 'Unread', isAscending: true },
+];
+
+// In the Snoozed mailbox, sorting by date means by wake-up time.
+var getSortField = function ( id, collapseThreads, mailbox ) {
+    var keywordProperty = collapseThreads ?
+            'someInThreadHaveKeyword' : 'hasKeyword';
+    switch ( id ) {
+    case 'date':
+        return mailbox && mailbox.get( 'role' ) === 'snoozed' ? {
+            property: 'snoozedUntil',
+            mailboxId: mailbox.get( 'id' ),
+        } : { property: 'receivedAt' };
+    case 'from':
+    case 'subject':
+    case 'size':
+        return { property: id };
+    case 'flagged':
+        return { property: keywordProperty, keyword: '$flagged' };
+    case 'unread':
+        return { property: keywordProperty, keyword: '$seen' };
+    }
+    return { property: 'receivedAt' };
+};
+
 // ---
 
 App.state = new O.Router({
@@ -129,21 +323,234 @@ App.state = new O.Router({
     thread: null,
     emailId: '',
 
+    // The id of the mailbox to show once they have loaded, if not the inbox
+    initialMailboxId: '',
+
+    // The mailbox being renamed inline in the sidebar
+    editingMailbox: null,
+
+    // The account of the mailbox being viewed, or else the user's own
+    accountId: function () {
+        return this.getFromPath( 'mailbox.accountId' ) ||
+            store.getPrimaryAccountIdForType( Message );
+    }.property( 'mailbox' ),
+
+    // --- List settings ---
+
+    settingsKey: function () {
+        return this.get( 'isSearch' ) ?
+            'search' :
+            this.getFromPath( 'mailbox.id' ) || '';
+    }.property( 'isSearch', 'mailbox' ),
+
+    isSnoozedMailbox: function () {
+        return !this.get( 'isSearch' ) &&
+            this.getFromPath( 'mailbox.role' ) === 'snoozed';
+    }.property( 'isSearch', 'mailbox' ),
+
+    isJunkMailbox: function () {
+        return !this.get( 'isSearch' ) &&
+            this.getFromPath( 'mailbox.role' ) === 'junk';
+    }.property( 'isSearch', 'mailbox' ),
+
+    // Show one item per conversation, or one per message?
+    collapseThreads: mailboxSetting( 'collapseThreads', true ),
+
+    toggleThreading: function () {
+        this.toggle( 'collapseThreads' );
+    },
+
+    sortOptions: SORTS,
+    sortBy: mailboxSetting( 'sortBy', 'date' ),
+    // Snoozed messages are shown soonest to wake first
+    sortIsAscending: mailboxSetting( 'sortIsAscending', function () {
+        return this.get( 'isSnoozedMailbox' );
+    }),
+
+    sortLabel: function () {
+        var sortBy = this.get( 'sortBy' );
+        var option = SORTS.find( function ( option ) {
+            return option.id === sortBy;
+        }) || SORTS[0];
+        return option.label + ( this.get( 'sortIsAscending' ) ? ' ↑' : ' ↓' );
+    }.property( 'sortBy', 'sortIsAscending' ),
+
+    // The JMAP sort; newest first is always the tie-breaker.
+    sort: function () {
+        var sortBy = this.get( 'sortBy' );
+        var field = getSortField( sortBy, this.get( 'collapseThreads' ),
+                this.get( 'isSearch' ) ? null : this.get( 'mailbox' ) );
+        var sort = [ field ];
+        field.isAscending = this.get( 'sortIsAscending' );
+        if ( field.property !== 'receivedAt' ) {
+            sort.push({ property: 'receivedAt', isAscending: false });
+        }
+        return sort;
+    }.property( 'sortBy', 'sortIsAscending', 'collapseThreads',
+        'settingsKey' ),
+
+    // Choosing a new sort resets to its natural direction; choosing the current
+    // one again reverses it.
+    setSort: function ( id ) {
+        var option = SORTS.find( function ( option ) {
+            return option.id === id;
+        });
+        if ( option ) {
+            if ( this.get( 'sortBy' ) === id ) {
+                this.toggle( 'sortIsAscending' );
+            } else {
+                this.beginPropertyChanges()
+                    .set( 'sortBy', id )
+                    .set( 'sortIsAscending', option.isAscending )
+                    .endPropertyChanges();
+            }
+        }
+        return this;
+    },
+
+    setSortDirection: function ( isAscending ) {
+        return this.set( 'sortIsAscending', isAscending );
+    },
+
+    // ---
+
+    // --- Quick filters ---
+
+    filterUnread: false,
+    filterFlagged: false,
+    filterAttachments: false,
+    filterVIPs: false,
+
+    vipEmails: function () {
+        var group = JMAP.contacts.vips.getGroup( store, false );
+        return group ? group.get( 'contacts' ).reduce(
+        function ( emails, contact ) {
+            return emails.concat( contact.get( 'emails' ).map(
+            function ( email ) {
+                return email.value;
+            }));
+        }, [] ) : [];
+    }.property(),
+
+    vipsDidChange: function () {
+        this.computedPropertyDidChange( 'vipEmails' );
+    },
+
+    fetchVIPs: function () {
+        var auth = JMAP.auth;
+        if ( this.get( 'filterVIPs' ) &&
+                auth.get( 'primaryAccounts' )[ auth.CONTACTS_DATA ] ) {
+            store.fetchAll( JMAP.ContactGroup )
+                 .fetchAll( JMAP.Contact );
+        }
+    }.observes( 'filterVIPs' ),
+
+    // The conditions from the quick filters, to be ANDed with the mailbox or
+    // search filter; null if none are on.
+    quickFilter: function () {
+        var conditions = [];
+        var emails;
+        if ( this.get( 'filterUnread' ) ) {
+            conditions.push({ notKeyword: '$seen' });
+        }
+        if ( this.get( 'filterFlagged' ) ) {
+            conditions.push({ hasKeyword: '$flagged' });
+        }
+        if ( this.get( 'filterAttachments' ) ) {
+            conditions.push({ hasAttachment: true });
+        }
+        // With no VIPs, the list is just empty (see matchesNothing)
+        emails = this.get( 'filterVIPs' ) ? this.get( 'vipEmails' ) : [];
+        if ( emails.length ) {
+            conditions.push({
+                operator: 'OR',
+                conditions: emails.map( function ( email ) {
+                    return { from: email };
+                }),
+            });
+        }
+        return conditions.length ? conditions : null;
+    }.property( 'filterUnread', 'filterFlagged', 'filterAttachments',
+        'filterVIPs', 'vipEmails' ),
+
+    matchesNothing: function () {
+        return this.get( 'filterVIPs' ) && !this.get( 'vipEmails' ).length;
+    }.property( 'filterVIPs', 'vipEmails' ),
+
+    hasQuickFilter: function () {
+        return !!this.get( 'quickFilter' ) || this.get( 'matchesNothing' );
+    }.property( 'quickFilter', 'matchesNothing' ),
+
+    clearQuickFilters: function () {
+        return this.beginPropertyChanges()
+            .set( 'filterUnread', false )
+            .set( 'filterFlagged', false )
+            .set( 'filterAttachments', false )
+            .set( 'filterVIPs', false )
+            .endPropertyChanges();
+    },
+
+    // ---
+
     mailboxMessageList: function () {
+        var searchFilter = this.get( 'searchFilter' );
         var mailboxId = this.getFromPath( 'mailbox.id' );
-        if ( !mailboxId ) {
+        var quickFilter = this.get( 'quickFilter' );
+        if ( !mailboxId && !searchFilter ) {
             return null;
         }
+        // Only add the AND if needed; the library can update a list filtered
+        // just on a mailbox without going back to the server. Other lists are
+        // updated by messagesDidChange.
+        var where = searchFilter || { inMailbox: mailboxId };
+        if ( quickFilter ) {
+            where = {
+                operator: 'AND',
+                conditions: [ where ].concat( quickFilter ),
+            };
+        }
         var args = {
             autoRefresh: O.Query.AUTO_REFRESH_IF_OBSERVED,
-            accountId: this.get( 'mailbox' ).get( 'accountId' ),
-            where: { inMailbox: mailboxId },
-            sort: [{ property: 'receivedAt', isAscending: false }],
-            collapseThreads: true,
+            accountId: this.get( 'accountId' ),
+            where: where,
+            sort: this.get( 'sort' ),
+            collapseThreads: this.get( 'collapseThreads' ),
         };
         var id = MessageList.getId( args );
+        if ( this.get( 'matchesNothing' ) ) {
+            return store.getQuery( 'empty:' + id, EmptyList, {
+                accountId: args.accountId,
+                Type: Message,
+                where: where,
+            });
+        }
         return store.getQuery( id, MessageList, args );
-    }.property( 'mailbox' ),
+    }.property( 'mailbox', 'searchFilter', 'quickFilter', 'matchesNothing',
+        'collapseThreads', 'sort' ),
+
+    // The library only updates a list filtered just on a mailbox as messages
+    // are moved or their keywords change; others are fetched again. So drop
+    // any messages that no longer match straight away.
+    messagesDidChange: function () {
+        var list = this.get( 'mailboxMessageList' );
+        var where, removed;
+        if ( !( list instanceof MessageList ) ||
+                !this.get( 'hasQuickFilter' ) ) {
+            return;
+        }
+        where = list.get( 'where' );
+        removed = list.getStoreKeys().filter( function ( storeKey ) {
+            return !!storeKey && ( store.getStatus( storeKey ) & READY ) &&
+                !matchesFilter(
+                    store.getRecordFromStoreKey( storeKey ), where );
+        });
+        if ( removed.length ) {
+            list.clientDidGenerateUpdate({
+                added: [],
+                removed: removed,
+            });
+        }
+    },
 
     threadStatusDidChange: function ( thread, __, ___, status ) {
         if ( status ) {
@@ -153,12 +560,23 @@ App.state = new O.Router({
         }
     }.observes( 'thread.status' ),
 
+    // The messages shown in the reading pane: the whole conversation, or just
+    // the selected message if the list isn't collapsing threads.
     threadMessageList: function () {
         var thread = this.get( 'thread' );
+        var emailId = this.get( 'emailId' );
+        if ( !this.get( 'collapseThreads' ) ) {
+            return thread && emailId ?
+                new O.ObservableArray([
+                    store.getRecord(
+                        this.get( 'accountId' ), Message, emailId ),
+                ]) :
+                null;
+        }
         return thread ?
             thread.get( 'messages' ) :
             null;
-    }.property( 'thread' ),
+    }.property( 'thread', 'emailId', 'collapseThreads' ),
 
     // --- Navigation ---
 
@@ -188,6 +606,38 @@ App.state = new O.Router({
         );
     },
 
+    // --- Search ---
+
+    // What's typed in the search box; searchQuery is only updated once the
+    // user pauses typing, so we don't run a query for every keystroke.
+    searchText: '',
+    searchQuery: '',
+    _searchTimer: null,
+
+    searchFilter: function () {
+        return App.parseSearch( this.get( 'searchQuery' ) );
+    }.property( 'searchQuery' ),
+
+    isSearch: function () {
+        return !!this.get( 'searchFilter' );
+    }.property( 'searchFilter' ),
+
+    searchTextDidChange: function () {
+        O.RunLoop.cancel( this._searchTimer );
+        this._searchTimer =
+            O.RunLoop.invokeAfterDelay( this.search, 500, this );
+    }.observes( 'searchText' ),
+
+    search: function () {
+        O.RunLoop.cancel( this._searchTimer );
+        this._searchTimer = null;
+        return this.set( 'searchQuery', this.get( 'searchText' ).trim() );
+    },
+
+    clearSearch: function () {
+        return this.set( 'searchText', '' ).search();
+    }.observes( 'mailbox' ),
+
     // --- Agenda ---
 
     showAgenda: false,
@@ -212,12 +662,34 @@ App.state = new O.Router({
 
     allMailboxes: allMailboxes,
     rootMailboxes: rootMailboxes,
+    getAccountMailboxes: getAccountMailboxes,
+    getFilterMailboxId: getFilterMailboxId,
+
+    // --- Accounts ---
+
+    accounts: accounts,
+    collapsedAccountIds: O.bind( collapsedAccounts, 'ids' ),
+
+    toggleAccount: function ( accountId ) {
+        var ids = collapsedAccounts.get( 'ids' );
+        collapsedAccounts.set( 'ids', ids.includes( accountId ) ?
+            ids.filter( function ( id ) {
+                return id !== accountId;
+            }) :
+            ids.concat( accountId ) );
+    },
 
     // --- Title ---
 
     mailboxName: O.bind( 'mailbox.name' ),
     mailboxUnread: O.bind( 'mailbox.unreadThreads' ),
 
+    listName: function () {
+        return this.get( 'isSearch' ) ?
+            'Search Results' :
+            this.get( 'mailboxName' );
+    }.property( 'isSearch', 'mailboxName' ),
+
     // Can't bind through an index, so have to do this in two parts
     firstMessage: O.bind( 'threadMessageList.0' ),
     subject: O.bind( 'firstMessage.subject', null, function ( val ) {
@@ -225,12 +697,13 @@ App.state = new O.Router({
     }),
 
     title: function () {
-        var mailboxName = this.get( 'mailboxName' ),
-            mailboxUnread = this.get( 'mailboxUnread' );
-        return mailboxName +
+        var listName = this.get( 'listName' ),
+            mailboxUnread = this.get( 'isSearch' ) ?
+                0 : this.get( 'mailboxUnread' );
+        return listName +
             ( mailboxUnread ? ' (' + mailboxUnread + ')' : '' ) +
             ( this.get( 'firstMessage' ) ? ' – ' + this.get( 'subject' ) : '' );
-    }.property( 'mailboxName', 'mailboxUnread', 'subject' ),
+    }.property( 'listName', 'mailboxUnread', 'subject' ),
 
     // --- Selection ---
 
@@ -240,16 +713,29 @@ App.state = new O.Router({
 
     // --- Initial data ---
 
+    // Starts from what was cached last time, if anything; otherwise fetches
+    // the mailboxes.
     fetchInitialData: function () {
-        store.fetchAll( Mailbox );
+        if ( !JMAP.auth.get( 'isAuthenticated' ) ) {
+            return;
+        }
+        App.cache.restore( function () {
+            store.fetchAll( Mailbox );
+        });
     },
 });
 JMAP.auth.addObserverForKey( 'isAuthenticated', App.state, 'fetchInitialData' );
+JMAP.contacts.vips.on( 'change', App.state, 'vipsDidChange' );
+store.on( Message, App.state, 'messagesDidChange' );
 
 rootMailboxes.addObserverForKey( '[]', {
     go: function ( rootMailboxes, key ) {
+        var mailboxId = App.state.get( 'initialMailboxId' );
         rootMailboxes.removeObserverForKey( key, this, 'go' );
-        App.state.set( 'mailbox',
+        App.state.set( 'mailbox', mailboxId &&
+            store.getOne( Mailbox, function ( data ) {
+                return data.id === mailboxId;
+            }) ||
             JMAP.mail.getMailboxForRole( null, 'inbox' ) );
     },
 }, 'go' );
@@ -260,7 +746,8 @@ App.state.selectedMessage = new O.SingleSelectionController({
     function ( value, syncForward ) {
         return syncForward ?
             value ?
-                store.getRecord( null, Message, value ) :
+                store.getRecord(
+                    App.state.get( 'accountId' ), Message, value ) :
                 null :
             value ?
                 value.get( 'id' ) :
@@ -335,14 +822,8 @@ App.state.selectedMessage = new O.SingleSelectionController({
     }.queue( 'middle' ).observes( 'index' ),
 }).setSelection().observeList();
 
+// The bindings are registered by shortcuts.js
 App.kbshortcuts = new O.GlobalKeyboardShortcuts();
-App.kbshortcuts
-    .register( 'j', App.state, 'goNext' )
-    .register( 'k', App.state, 'goPrev' )
-    .register( 'u', App.state, 'refresh' )
-    .register( 'cmd-z', JMAP.mail.undoManager, 'undo' )
-    .register( 'cmd-shift-z', JMAP.mail.undoManager, 'redo' )
-    .register( 'cmd-a', App.state.selection, 'selectAll' );
 
 // --- Connect to the push service ---
 
@@ -354,7 +835,7 @@ App.push = new O.EventSource({
     ),
 
     onStateChange: function ( event ) {
-        var changed, accountId, accountChanges, Type, type;
+        var changed;
         try {
             changed = JSON.parse( event.data ).changed;
         } catch ( error ) {
@@ -364,25 +845,33 @@ App.push = new O.EventSource({
                 details: 'Arg:\n' + JSON.stringify( event ) + '\n\n',
             });
         }
-        if ( !changed ) {
-            return;
+        if ( changed ) {
+            this.didChange( changed );
         }
+    }.on( 'state' ),
 
+    // Also called by App.socket, with changes pushed over the WebSocket
+    didChange: function ( changed ) {
+        var accountId, accountChanges, Type, type;
         for ( accountId in changed ) {
             accountChanges = changed[ accountId ];
             for ( type in accountChanges ) {
-                if ( type.startsWith( 'Email' ) ) {
-                    type = type.replace( 'Email', 'Message' );
+                // The library calls Email types Message, e.g. EmailSubmission
+                // is JMAP.MessageSubmission
+                Type = JMAP[ type.startsWith( 'Email' ) ?
+                    type.replace( 'Email', 'Message' ) : type ];
+                if ( Type ) {
+                    store.sourceStateDidChange(
+                        accountId, Type, accountChanges[ type ] );
                 }
-                Type = JMAP[ type ];
-                store.sourceStateDidChange(
-                    accountId, Type, accountChanges[ type ] );
             }
         }
-    }.on( 'state' ),
+    },
 
+    // Not needed while changes are pushed over the WebSocket instead
     openIfUrl: function () {
-        if ( this.get( 'url' ) ) {
+        if ( this.get( 'url' ) &&
+                !( App.socket && App.socket.get( 'isPushing' ) ) ) {
             this.open();
         }
         return this;
@@ -391,22 +880,64 @@ App.push = new O.EventSource({
 
 // ---
 
-App.credentials = new O.LocalStorage( 'credentials', false, {
-    server: 'https://jmap.fastmail.com/.well-known/jmap',
-    username: '',
-    password: '',
+// Senders and domains we always load remote images for
+App.trustedSenders = new O.LocalStorage( 'trustedSenders', false, {
+    emails: [],
+    domains: [],
 });
 
-App.credentials.login = function () {
-    var server = this.get( 'server' );
-    var username = this.get( 'username' );
-    var password = this.get( 'password' );
-    var accessToken = 'Basic ' + btoa( username + ':' + password );
-    JMAP.auth.fetchSession( server, accessToken );
+var getDomain = function ( email ) {
+    return email.slice( email.indexOf( '@' ) + 1 );
+};
+
+App.trustedSenders.isTrusted = function ( email ) {
+    email = ( email || '' ).toLowerCase();
+    return !!email && (
+        this.get( 'emails' ).includes( email ) ||
+        this.get( 'domains' ).includes( getDomain( email ) ) );
 };
 
-if ( App.credentials.get( 'username' ) && App.credentials.get( 'password' ) ) {
-    App.credentials.login();
-}
+App.trustedSenders.trust = function ( email, wholeDomain ) {
+    var key = wholeDomain ? 'domains' : 'emails';
+    var list = this.get( key );
+    email = email.toLowerCase();
+    if ( wholeDomain ) {
+        email = getDomain( email );
+    }
+    if ( !list.includes( email ) ) {
+        this.set( key, list.concat( email ) );
+    }
+};
+
+// ---
+
+// Mailboxes most recently moved or copied to, most recent first.
+App.recentMailboxes = new O.LocalStorage( 'recentMailboxes', false, {
+    ids: [],
+});
+
+App.recentMailboxes.add = function ( mailbox ) {
+    var id = mailbox.get( 'id' );
+    this.set( 'ids', [ id ].concat( this.get( 'ids' ).filter(
+    function ( otherId ) {
+        return otherId !== id;
+    })).slice( 0, 5 ) );
+};
+
+// ---
+
+// Logging in with these is handled by auth.js
+App.credentials = new O.LocalStorage( 'credentials', false, {
+    // The session URL is looked up from the email address, unless entered
+    // directly
+    email: '',
+    server: 'https://jmap.fastmail.com/.well-known/jmap',
+    // For Basic auth
+    username: '',
+    // For OAuth: the client id registered with the authorization server
+    clientId: 'jmap-demo-webmail',
+    // Keep the login token after the browser is closed?
+    rememberMe: false,
+});
 
 });
@@ -1,7 +1,9 @@
 // -------------------------------------------------------------------------- \\
 // File: views.js                                                             \\
 // Module: Mail                                                               \\
-// Requires: namespace.js, state.js, actions.js                               \\
+// Requires: namespace.js, state.js, actions.js, snooze.js, compose.js,       \\
+//           redirect.js, scheduled.js, attachments.js, shortcuts.js,         \\
+//           settings.js, auth.js                                             \\
 // -------------------------------------------------------------------------- \\
 
 /*global O, JMAP, App */
@@ -104,9 +106,129 @@ var agendaView = new O.View({
     }.on( 'click' ),
 });
 
+var getMailboxPath = function ( mailbox ) {
+    var parent = mailbox.get( 'parent' );
+    return ( parent ? getMailboxPath( parent ) + ' / ' : '' ) +
+        mailbox.get( 'name' );
+};
+
+// A filterable menu of the mailboxes in the account being viewed that messages
+// can be filed into, recently used ones first. Activating one calls
+// target[method]( button ), with the mailbox available as
+// button.get( 'mailbox' ).
+var createMailboxMenu = function ( target, method ) {
+    var current = App.state.get( 'mailbox' );
+    var accountId = App.state.get( 'accountId' );
+    var mailboxes = App.state.getAccountMailboxes( accountId ).filter(
+    function ( mailbox ) {
+        return mailbox !== current && mailbox.get( 'mayAddItems' );
+    });
+    var recent = App.recentMailboxes.get( 'ids' ).map( function ( id ) {
+        return mailboxes.find( function ( mailbox ) {
+            return mailbox.get( 'id' ) === id;
+        });
+    }).filter( Boolean );
+    return new O.MenuView({
+        showFilter: true,
+        options: recent.concat( mailboxes.filter( function ( mailbox ) {
+            return !recent.includes( mailbox );
+        })).map( function ( mailbox ) {
+            return new O.ButtonView({
+                type: recent.includes( mailbox ) ? 'is-recent' : '',
+                label: getMailboxPath( mailbox ),
+                mailbox: mailbox,
+                target: target,
+                method: method,
+            });
+        }),
+    });
+};
+
+var createMailboxMenuButton = function ( label, method ) {
+    return new O.MenuButtonView({
+        label: label,
+        popOverView: new O.PopOverView(),
+        destroyMenuViewOnClose: true,
+        // Rebuild the menu each time so it has the current mailboxes
+        activate: function () {
+            if ( !this.get( 'isActive' ) ) {
+                this.set( 'menuView',
+                    createMailboxMenu( App.actions, method ) );
+            }
+            return O.MenuButtonView.prototype.activate.call( this );
+        },
+    });
+};
+
+var sortMenuView = new O.MenuView({
+    options: App.state.sortOptions.map( function ( option ) {
+        return new O.ButtonView({
+            label: option.label,
+            isActive: O.bind( App.state, 'sortBy', function ( sortBy ) {
+                return sortBy === option.id;
+            }),
+            method: 'select',
+            select: function () {
+                App.state.setSort( option.id );
+            },
+        });
+    }).concat([ true, false ].map( function ( isAscending ) {
+        return new O.ButtonView({
+            label: isAscending ? 'Ascending' : 'Descending',
+            isActive: O.bind( App.state, 'sortIsAscending',
+            function ( sortIsAscending ) {
+                return sortIsAscending === isAscending;
+            }),
+            method: 'select',
+            select: function () {
+                App.state.setSortDirection( isAscending );
+            },
+        });
+    })),
+});
+
+var filterChip = function ( label, key ) {
+    return new O.ButtonView({
+        type: 'v-FilterChip',
+        label: label,
+        isActive: O.bind( App.state, key ),
+        method: 'select',
+        select: function () {
+            App.state.toggle( key );
+        },
+    });
+};
+
+var filterBar = new O.View({
+    className: 'v-FilterBar',
+    positioning: 'absolute',
+    layout: {
+        top: 0,
+        left: 0,
+        right: 0,
+        height: 36,
+    },
+    childViews: [
+        filterChip( 'Unread', 'filterUnread' ),
+        filterChip( 'Flagged', 'filterFlagged' ),
+        filterChip( 'Attachments', 'filterAttachments' ),
+        filterChip( 'VIPs', 'filterVIPs' ),
+        O.when( App.state, 'hasQuickFilter' ).show([
+            new O.ButtonView({
+                type: 'v-FilterBar-clear',
+                label: 'Clear',
+                target: App.state,
+                method: 'clearQuickFilters',
+            }),
+        ]).end(),
+    ],
+});
+
 var mailboxView = new O.ScrollView({
-    className: 'app-list',
-    layout: O.bind( contentSplitController, 'topLeftLayout' ),
+    positioning: 'absolute',
+    layout: O.extend({
+        top: 36,
+    }, O.View.LAYOUT_FILL_PARENT, true ),
     childViews: [
         new O.SwitchView({
             index: O.bind( App.state, 'mailboxMessageList.length',
@@ -119,7 +241,10 @@ var mailboxView = new O.ScrollView({
                     value: 'Loading…',
                 }),
                 new EmptyView({
-                    value: 'No Conversations',
+                    value: O.bind( App.state, 'isSearch',
+                    function ( isSearch ) {
+                        return isSearch ? 'No Results' : 'No Conversations';
+                    }),
                 }),
                 new O.ProgressiveListView({
                     content: O.bind( App.state, 'mailboxMessageList' ),
@@ -216,7 +341,26 @@ var main = new O.View({
                     draw: function ( layer ) {
                         return [
                             el( 'div.v-MailboxTitle-name', {
-                                text: O.bind( App.state, 'mailboxName' ),
+                                text: O.bind( App.state, 'listName' ),
+                            }),
+                            new O.ButtonView({
+                                type: 'v-MailboxTitle-button',
+                                label: O.bind( App.state, 'collapseThreads',
+                                function ( collapseThreads ) {
+                                    return collapseThreads ?
+                                        'Conversations' : 'Messages';
+                                }),
+                                tooltip: 'Switch between conversations ' +
+                                    'and individual messages',
+                                target: App.state,
+                                method: 'toggleThreading',
+                            }),
+                            new O.MenuButtonView({
+                                type: 'v-MailboxTitle-button',
+                                label: O.bind( App.state, 'sortLabel' ),
+                                tooltip: 'Sort by',
+                                popOverView: new O.PopOverView(),
+                                menuView: sortMenuView,
                             }),
                             el( 'div.v-MailboxTitle-total', {
                                 text: O.bind( App.state,
@@ -235,6 +379,11 @@ var main = new O.View({
                         O.bind( contentSplitController, 'bottomRightLayout' ),
                     draw: function () {
                         return [
+                            new O.ButtonView({
+                                label: 'Compose',
+                                target: App.composer,
+                                method: 'compose',
+                            }),
                             new O.ButtonView({
                                 label: 'Archive',
                                 target: App.actions,
@@ -245,6 +394,19 @@ var main = new O.View({
                                 target: App.actions,
                                 method: 'deleteToTrash',
                             }),
+                            O.when( App.state, 'isJunkMailbox' ).show([
+                                new O.ButtonView({
+                                    label: 'Not Spam',
+                                    target: App.actions,
+                                    method: 'reportNotSpam',
+                                }),
+                            ]).otherwise([
+                                new O.ButtonView({
+                                    label: 'Report Spam',
+                                    target: App.actions,
+                                    method: 'reportSpam',
+                                }),
+                            ]).end(),
                             new O.ButtonView({
                                 label: 'Mark as Read',
                                 target: App.actions,
@@ -255,11 +417,46 @@ var main = new O.View({
                                 target: App.actions,
                                 method: 'unread',
                             }),
+                            App.views.moveButton =
+                                createMailboxMenuButton( 'Move to…', 'moveTo' ),
+                            App.views.copyButton =
+                                createMailboxMenuButton( 'Copy to…', 'copyTo' ),
+                            App.views.snoozeButton = new O.MenuButtonView({
+                                label: 'Snooze',
+                                isDisabled: O.bind( App.snooze, 'mailbox',
+                                    O.Transform.invert ),
+                                popOverView: new O.PopOverView(),
+                                destroyMenuViewOnClose: true,
+                                activate: function () {
+                                    if ( !this.get( 'isActive' ) ) {
+                                        this.set( 'menuView',
+                                            new App.SnoozeMenuView() );
+                                    }
+                                    return O.MenuButtonView.prototype
+                                        .activate.call( this );
+                                },
+                            }),
+                            O.when( App.state, 'isSnoozedMailbox' ).show([
+                                new O.ButtonView({
+                                    label: 'Unsnooze',
+                                    target: App.actions,
+                                    method: 'unsnooze',
+                                }),
+                            ]).end(),
                             new O.ButtonView({
                                 label: 'Undo',
                                 target: JMAP.mail.undoManager,
                                 method: 'undo',
                             }),
+                            new O.SearchTextView({
+                                positioning: 'absolute',
+                                layout: {
+                                    right: 110,
+                                    width: 220,
+                                },
+                                placeholder: 'Search',
+                                value: O.bindTwoWay( App.state, 'searchText' ),
+                            }),
                             new O.ButtonView({
                                 positioning: 'absolute',
                                 layout: {
@@ -281,7 +478,15 @@ var main = new O.View({
                 top: 50,
             }, O.View.LAYOUT_FILL_PARENT, true ),
             childViews: [
-                mailboxView,
+                new O.View({
+                    className: 'app-list',
+                    positioning: 'absolute',
+                    layout: O.bind( contentSplitController, 'topLeftLayout' ),
+                    childViews: [
+                        filterBar,
+                        mailboxView,
+                    ],
+                }),
                 threadView,
                 new O.SplitDividerView({
                     controller: contentSplitController,
@@ -319,8 +524,87 @@ var sidebar = new O.View({
             }, O.View.LAYOUT_FILL_PARENT, true ),
             childViews: [
                 new O.ListView({
-                    content: App.state.allMailboxes,
-                    ItemView: App.MailboxSourceView,
+                    content: App.state.accounts,
+                    ItemView: App.AccountSourceView,
+                }),
+                O.when( App.scheduled, 'isSupported' ).show([
+                    new O.View({
+                        className: O.bind( App.scheduled, 'isShowing',
+                        function ( isShowing ) {
+                            return 'v-MailboxSource' +
+                                ( isShowing ? ' is-selected' : '' );
+                        }),
+                        draw: function ( layer ) {
+                            return [
+                                el( 'div.v-MailboxSource-name', [
+                                    'Scheduled',
+                                ]),
+                                el( 'div.v-MailboxSource-count', {
+                                    text: O.bind( App.scheduled,
+                                        'submissions.length',
+                                    function ( count ) {
+                                        return count ? count + '' : '';
+                                    }),
+                                }),
+                            ];
+                        },
+                        select: function () {
+                            App.scheduled.show();
+                        }.on( 'click' ),
+                    }),
+                ]).end(),
+                O.when( App.outbox, 'isShowing' ).show([
+                    new O.View({
+                        className: 'v-Outbox',
+                        draw: function ( layer ) {
+                            var conflicts = App.outbox.get( 'conflicts' );
+                            return [
+                                el( 'div.v-Outbox-status', {
+                                    text: O.bind( App.outbox, 'statusText' ),
+                                }),
+                                conflicts.length ? [
+                                    el( 'ul.v-Outbox-conflicts',
+                                        conflicts.map( function ( conflict ) {
+                                            return el( 'li', [
+                                                el( 'b', [ conflict.label ] ),
+                                                ' “' + ( conflict.subject ||
+                                                    '(No subject)' ) + '”: ',
+                                                conflict.reason,
+                                            ]);
+                                        })
+                                    ),
+                                    new O.ButtonView({
+                                        type: 'v-Outbox-dismiss',
+                                        label: 'Dismiss',
+                                        target: App.outbox,
+                                        method: 'dismissConflicts',
+                                    }),
+                                ] : null,
+                            ];
+                        },
+                        conflictsNeedRedraw: function () {
+                            this.propertyNeedsRedraw( this, 'layer' );
+                        }.observes( 'outbox.conflicts' ),
+                        outbox: App.outbox,
+                    }),
+                ]).end(),
+                new O.ButtonView({
+                    type: 'v-Sidebar-new',
+                    label: 'New Folder',
+                    target: App.actions,
+                    method: 'createMailbox',
+                }),
+                new O.ButtonView({
+                    type: 'v-Sidebar-new',
+                    label: 'Settings',
+                    target: App.settings,
+                    method: 'show',
+                }),
+                new O.ButtonView({
+                    type: 'v-Sidebar-new',
+                    label: 'Log Out',
+                    target: App.auth,
+                    method: 'logout',
                 }),
             ],
         }),
@@ -334,29 +618,138 @@ var loginView = new O.View({
     draw: function () {
         return [
             el( 'div.v-Login-modal', [
-                el( 'h2.v-Login-title', [
-                    'JMAP Session URL',
-                ]),
-                new O.TextView({
-                    value: O.bindTwoWay( App.credentials, 'server' ),
+                O.when( App.auth, 'isEnteringUrl' ).show([
+                    el( 'h2.v-Login-title', [
+                        'JMAP Session URL',
+                    ]),
+                    new O.TextView({
+                        value: O.bindTwoWay( App.credentials, 'server' ),
+                    }),
+                ]).otherwise([
+                    el( 'h2.v-Login-title', [
+                        'Email Address',
+                    ]),
+                    new O.TextView({
+                        inputType: 'email',
+                        placeholder: 'you@example.com',
+                        value: O.bindTwoWay( App.credentials, 'email' ),
+                    }),
+                    el( 'p.v-Login-server', {
+                        text: O.bind( App.auth, 'serverInfo' ),
+                    }),
+                ]).end(),
+                new O.ButtonView({
+                    type: 'v-Login-toggle',
+                    label: O.bind( App.auth, 'isEnteringUrl',
+                    function ( isEnteringUrl ) {
+                        return isEnteringUrl ?
+                            'Use my email address instead' :
+                            'Enter a Session URL instead';
+                    }),
+                    target: App.auth,
+                    method: 'toggleEnteringUrl',
                 }),
-                el( 'h2.v-Login-title', [
-                    'Username',
-                ]),
-                new O.TextView({
-                    value: O.bindTwoWay( App.credentials, 'username' ),
+                O.when( App.auth, 'method', function ( method ) {
+                    return method === 'basic';
+                }).show([
+                    el( 'h2.v-Login-title', [
+                        'Username',
+                    ]),
+                    new O.TextView({
+                        value: O.bindTwoWay( App.credentials, 'username' ),
+                    }),
+                    el( 'h2.v-Login-title', [
+                        'Password',
+                    ]),
+                    new O.TextView({
+                        inputType: 'password',
+                        value: O.bindTwoWay( App.auth, 'password' ),
+                    }),
+                ]).end(),
+                O.when( App.auth, 'method', function ( method ) {
+                    return method === 'oauth';
+                }).show([
+                    el( 'p.v-Login-note', [
+                        'This server uses OAuth. You’ll be sent to its ' +
+                        'sign in page, then brought back here.',
+                    ]),
+                    el( 'h2.v-Login-title', [
+                        'Client ID',
+                    ]),
+                    new O.TextView({
+                        value: O.bindTwoWay( App.credentials, 'clientId' ),
+                    }),
+                ]).end(),
+                new O.CheckboxView({
+                    label: 'Remember me',
+                    tooltip: 'Stay logged in after closing the browser. ' +
+                        'Your password is never stored, so this isn’t ' +
+                        'available for servers that only accept a password.',
+                    value: O.bindTwoWay( App.credentials, 'rememberMe' ),
+                    isDisabled: O.bind( App.auth, 'method',
+                    function ( method ) {
+                        return method === 'basic';
+                    }),
+                }),
+                el( 'p.v-Login-error', {
+                    text: O.bind( App.auth, 'error' ),
+                }),
+                new O.ButtonView({
+                    label: O.bind( App.auth, 'loginLabel' ),
+                    isDisabled: O.bind( App.auth, 'isLookingUp' ),
+                    target: App.auth,
+                    method: 'login',
                 }),
-                el( 'h2.v-Login-title', [
-                    'Password',
+            ]),
+        ];
+    },
+});
+
+// Shown over the mail view when the session expires, so logging in again
+// carries on from the same mailbox and selection.
+var reloginView = new O.View({
+    positioning: 'absolute',
+    layout: O.View.LAYOUT_FILL_PARENT,
+    className: 'v-Login',
+    draw: function () {
+        return [
+            el( 'div.v-Login-modal', [
+                el( 'h2.v-Login-heading', [
+                    'Your session has expired',
                 ]),
-                new O.TextView({
-                    value: O.bindTwoWay( App.credentials, 'password' ),
+                el( 'p.v-Login-note', {
+                    text: O.bind( App.auth, 'method', function ( method ) {
+                        return method === 'basic' ?
+                            'Enter the password for ' +
+                                App.credentials.get( 'username' ) +
+                                ' to carry on where you left off.' :
+                            'Sign in again to carry on where you left off.';
+                    }),
+                }),
+                O.when( App.auth, 'method', function ( method ) {
+                    return method === 'basic';
+                }).show([
+                    new O.TextView({
+                        inputType: 'password',
+                        placeholder: 'Password',
+                        value: O.bindTwoWay( App.auth, 'password' ),
+                    }),
+                ]).end(),
+                el( 'p.v-Login-error', {
+                    text: O.bind( App.auth, 'error' ),
                 }),
                 new O.ButtonView({
-                    label: 'Log in',
-                    target: App.credentials,
+                    label: O.bind( App.auth, 'loginLabel' ),
+                    isDisabled: O.bind( App.auth, 'isDiscovering' ),
+                    target: App.auth,
                     method: 'login',
                 }),
+                new O.ButtonView({
+                    type: 'v-Login-logout',
+                    label: 'Log Out',
+                    target: App.auth,
+                    method: 'logout',
+                }),
             ]),
         ];
     },
@@ -366,13 +759,120 @@ App.views.mail = new O.View({
     positioning: 'absolute',
     layout: O.View.LAYOUT_FILL_PARENT,
     childViews: [
-        main,
+        O.when( App.scheduled, 'isShowing' ).show([
+            new App.ScheduledView({
+                positioning: 'absolute',
+                layout: O.bind( sidebarSplitController, 'bottomRightLayout' ),
+                content: App.scheduled,
+            }),
+        ]).otherwise([
+            main,
+        ]).end(),
         sidebar,
         new O.SplitDividerView({
             controller: sidebarSplitController,
         }),
+        O.when( App.vacation, 'isOn' ).show([
+            new O.View({
+                className: 'v-VacationBanner',
+                positioning: 'absolute',
+                draw: function () {
+                    return [
+                        el( 'span.v-VacationBanner-text', {
+                            text: O.bind( App.vacation, 'bannerText' ),
+                        }),
+                        new O.ButtonView({
+                            label: 'Edit',
+                            pane: 'vacation',
+                            target: App.settings,
+                            method: 'show',
+                        }),
+                        new O.ButtonView({
+                            label: 'Turn Off',
+                            target: App.vacation,
+                            method: 'turnOff',
+                        }),
+                    ];
+                },
+            }),
+        ]).end(),
+        O.when( App.connection, 'isDisconnected' ).show([
+            new O.View({
+                className: 'v-ConnectionBanner',
+                positioning: 'absolute',
+                draw: function () {
+                    return [
+                        el( 'span.v-ConnectionBanner-text', {
+                            text: O.bind( App.connection, 'bannerText' ),
+                        }),
+                        new O.ButtonView({
+                            label: 'Retry Now',
+                            target: App.connection,
+                            method: 'retryNow',
+                        }),
+                    ];
+                },
+            }),
+        ]).end(),
+        O.when( App.connection, 'isPushDown' ).show([
+            new O.View({
+                className: 'v-ConnectionBanner v-ConnectionBanner--push',
+                positioning: 'absolute',
+                draw: function () {
+                    return [
+                        el( 'span.v-ConnectionBanner-text', {
+                            text: 'Live updates paused — reconnecting…',
+                        }),
+                        new O.ButtonView({
+                            label: 'Reconnect',
+                            target: App.connection,
+                            method: 'reconnectPush',
+                        }),
+                    ];
+                },
+            }),
+        ]).end(),
+        O.when( App.settings, 'pane' ).show([
+            new App.SettingsView({
+                content: App.settings,
+            }),
+        ]).end(),
+        O.when( App.snooze, 'isChoosingTime' ).show([
+            new App.SnoozeView({
+                content: App.snooze,
+            }),
+        ]).end(),
+        O.when( App.redirect, 'message' ).show([
+            new App.RedirectView({
+                content: App.redirect,
+            }),
+        ]).end(),
+        O.when( App.attachments, 'part' ).show([
+            new App.AttachmentPreviewView({
+                content: App.attachments,
+            }),
+        ]).end(),
+        O.when( App.shortcuts, 'isShowingHelp' ).show([
+            new App.ShortcutsView({
+                content: App.shortcuts,
+            }),
+        ]).end(),
+        O.when( App.composer, 'draft' ).show([
+            new App.ComposeView({
+                content: O.bind( App.composer, 'draft' ),
+            }),
+        ]).end(),
+        O.when( App.scheduled, 'isChoosingTime' ).show([
+            new App.ScheduleTimeView({
+                content: App.scheduled,
+            }),
+        ]).end(),
         O.when( JMAP.auth, 'isAuthenticated', O.Transform.invert ).show([
-            loginView,
+            O.when( App.auth, 'isExpired' ).show([
+                reloginView,
+            ]).otherwise([
+                loginView,
+            ]).end(),
         ]).end(),
     ],
 });
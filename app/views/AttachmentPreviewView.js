@@ -0,0 +1,108 @@
+// -------------------------------------------------------------------------- \\
+// File: AttachmentPreviewView.js                                             \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+var AttachmentPreviewView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Preview',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    init: function ( options ) {
+        AttachmentPreviewView.parent.init.call( this, options );
+        this._body = null;
+    },
+
+    draw: function ( layer ) {
+        return [
+            el( 'div.v-Preview-modal', [
+                el( 'div.v-Preview-header', [
+                    el( 'h2.v-Preview-title', {
+                        text: O.bind( this, 'content.name' ),
+                    }),
+                    el( 'span.v-Preview-size', {
+                        text: O.bind( this, 'content.size' ),
+                    }),
+                    new O.ButtonView({
+                        label: 'Download',
+                        target: this,
+                        method: 'download',
+                    }),
+                    new O.ButtonView({
+                        label: 'Close',
+                        shortcut: 'Escape',
+                        target: this,
+                        method: 'close',
+                    }),
+                ]),
+                this._body = this._drawBody(),
+            ]),
+        ];
+    },
+
+    _drawBody: function () {
+        var content = this.get( 'content' );
+        var kind = content.get( 'kind' );
+        var url = content.get( 'url' );
+        var preview;
+        if ( content.get( 'isLoading' ) ) {
+            preview = el( 'div.v-Preview-loading', [ 'Loading…' ] );
+        } else if ( kind === 'text' ) {
+            preview = el( 'pre.v-Preview-text', [ content.get( 'text' ) ] );
+        } else if ( kind === 'image' ) {
+            preview = el( 'img.v-Preview-image', { src: url } );
+        } else if ( kind === 'pdf' ) {
+            preview = el( 'iframe.v-Preview-frame', { src: url } );
+        }
+        return el( 'div.v-Preview-body', [ preview ] );
+    },
+
+    contentNeedsRedraw: function () {
+        this.propertyNeedsRedraw( this, 'body' );
+    }.observes( 'content.isLoading', 'content.part' ),
+
+    redrawBody: function () {
+        var body = this._drawBody();
+        this._body.parentNode.replaceChild( body, this._body );
+        this._body = body;
+    },
+
+    // ---
+
+    close: function () {
+        this.get( 'content' ).close();
+    },
+
+    download: function () {
+        var content = this.get( 'content' );
+        var part = content.get( 'part' );
+        if ( part ) {
+            content.download( content.get( 'accountId' ), part );
+        }
+    },
+
+    // Clicking the backdrop closes the preview
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.close();
+        }
+    }.on( 'click' ),
+});
+
+App.AttachmentPreviewView = AttachmentPreviewView;
+
+}() );
@@ -0,0 +1,115 @@
+// -------------------------------------------------------------------------- \\
+// File: ComposeView.js                                                       \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+var ComposeView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Compose',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var bindTwoWay = O.bindTwoWay;
+        var field = function ( label, view ) {
+            return el( 'label.v-Compose-field', [
+                el( 'span.v-Compose-label', [ label ] ),
+                view,
+            ]);
+        };
+        return [
+            el( 'div.v-Compose-modal', [
+                el( 'div.v-Compose-header', [
+                    el( 'h2.v-Compose-title', {
+                        text: O.bind( this, 'content.subject',
+                        function ( subject ) {
+                            return subject || 'New Message';
+                        }),
+                    }),
+                    el( 'span.v-Compose-status', {
+                        text: O.bind( this, 'content.status' ),
+                    }),
+                ]),
+                field( 'From', new O.SelectView({
+                    options: O.bind( App.composer, 'identityOptions' ),
+                    value: bindTwoWay( this, 'content.identityId' ),
+                })),
+                field( 'To', new O.TextView({
+                    value: bindTwoWay( this, 'content.to' ),
+                })),
+                field( 'Cc', new O.TextView({
+                    value: bindTwoWay( this, 'content.cc' ),
+                })),
+                field( 'Bcc', new O.TextView({
+                    value: bindTwoWay( this, 'content.bcc' ),
+                })),
+                field( 'Subject', new O.TextView({
+                    value: bindTwoWay( this, 'content.subject' ),
+                })),
+                new O.TextView({
+                    type: 'v-Compose-body',
+                    isMultiline: true,
+                    value: bindTwoWay( this, 'content.body' ),
+                }),
+                el( 'div.v-Compose-actions', [
+                    new O.ButtonView({
+                        type: 'v-Compose-send',
+                        label: 'Send',
+                        shortcut: 'Cmd-Enter',
+                        target: App.composer,
+                        method: 'send',
+                    }),
+                    O.when( App.scheduled, 'isSupported' ).show([
+                        new O.MenuButtonView({
+                            label: 'Send Later…',
+                            popOverView: new O.PopOverView(),
+                            destroyMenuViewOnClose: true,
+                            // Rebuild the menu so the times are current
+                            activate: function () {
+                                if ( !this.get( 'isActive' ) ) {
+                                    this.set( 'menuView',
+                                        new App.SendLaterMenuView() );
+                                }
+                                return O.MenuButtonView.prototype
+                                    .activate.call( this );
+                            },
+                        }),
+                    ]).end(),
+                    new O.ButtonView({
+                        label: 'Save Draft',
+                        target: App.composer,
+                        method: 'saveDraft',
+                    }),
+                    new O.ButtonView({
+                        label: 'Close',
+                        target: App.composer,
+                        method: 'close',
+                    }),
+                    new O.ButtonView({
+                        type: 'v-Compose-discard',
+                        label: 'Discard',
+                        target: App.composer,
+                        method: 'discard',
+                    }),
+                ]),
+            ]),
+        ];
+    },
+});
+
+App.ComposeView = ComposeView;
+
+}() );
@@ -0,0 +1,213 @@
+// -------------------------------------------------------------------------- \\
+// File: IdentitiesView.js                                                    \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+// Shows how the signature being edited will look in a message.
+var SignaturePreviewView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Identities-preview',
+
+    form: null,
+
+    draw: function ( layer ) {
+        var form = this.get( 'form' );
+        var signature;
+        if ( !form ) {
+            return null;
+        }
+        if ( form.get( 'signatureType' ) === 'html' ) {
+            signature = form.get( 'htmlSignature' );
+            return signature ?
+                App.drawHTML( signature ) :
+                el( 'p.v-Settings-note', [ 'No HTML signature' ] );
+        }
+        signature = form.get( 'textSignature' );
+        return signature ?
+            el( 'div.v-Identities-previewText', [ '-- \n' + signature ] ) :
+            el( 'p.v-Settings-note', [ 'No plain text signature' ] );
+    },
+
+    signatureNeedsRedraw: function () {
+        this.propertyNeedsRedraw( this, 'layer' );
+    }.observes( 'form', 'form.signatureType', 'form.textSignature',
+        'form.htmlSignature' ),
+});
+
+var IdentityListView = O.Class({
+
+    Extends: O.View,
+
+    layerTag: 'ul',
+
+    className: 'v-Identities-list',
+
+    identities: [],
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        return this.get( 'identities' ).map( function ( identity ) {
+            return el( 'li', [
+                new O.ButtonView({
+                    label: O.bind( identity, 'nameAndEmail' ),
+                    identity: identity,
+                    isActive: O.bind( content, 'selected',
+                    function ( selected ) {
+                        return selected === identity;
+                    }),
+                    target: content,
+                    method: 'select',
+                }),
+            ]);
+        });
+    },
+
+    identitiesNeedRedraw: function () {
+        this.propertyNeedsRedraw( this, 'layer' );
+    }.observes( 'identities' ),
+});
+
+var IdentitiesView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Identities',
+
+    draw: function ( layer ) {
+        var bind = O.bind;
+        var bindTwoWay = O.bindTwoWay;
+        var content = this.get( 'content' );
+        var field = function ( label, view ) {
+            return el( 'label.v-Settings-field', [
+                el( 'span.v-Settings-label', [ label ] ),
+                view,
+            ]);
+        };
+        var signatureTab = function ( label, type ) {
+            return new O.ButtonView({
+                label: label,
+                isActive: bind( content, 'form.signatureType',
+                function ( signatureType ) {
+                    return signatureType === type;
+                }),
+                method: 'select',
+                select: function () {
+                    content.get( 'form' ).setSignatureType( type );
+                },
+            });
+        };
+        return [
+            el( 'h3.v-Settings-paneTitle', [ 'Identities' ] ),
+            el( 'div.v-Identities-main', [
+                el( 'div.v-Identities-sidebar', [
+                    new IdentityListView({
+                        content: content,
+                        identities: bind( content.get( 'identities' ), '[]' ),
+                    }),
+                    new O.ButtonView({
+                        type: 'v-Identities-new',
+                        label: 'New Identity',
+                        isActive: bind( content, 'form.isNew' ),
+                        target: content,
+                        method: 'create',
+                    }),
+                ]),
+                O.when( content, 'form' ).show([
+                    el( 'div.v-Identities-editor', [
+                        field( 'Name', new O.TextView({
+                            value: bindTwoWay( content, 'form.name' ),
+                        })),
+                        field( 'Email', new O.TextView({
+                            isDisabled: bind( content, 'form.isNew',
+                                O.Transform.invert ),
+                            value: bindTwoWay( content, 'form.email' ),
+                        })),
+                        field( 'Reply-To', new O.TextView({
+                            placeholder: 'Optional',
+                            value: bindTwoWay( content, 'form.replyTo' ),
+                        })),
+                        field( 'Bcc', new O.TextView({
+                            placeholder: 'Optional',
+                            value: bindTwoWay( content, 'form.bcc' ),
+                        })),
+                        el( 'div.v-Identities-signatureHeader', [
+                            el( 'span.v-Settings-label', [ 'Signature' ] ),
+                            signatureTab( 'Plain text', 'text' ),
+                            signatureTab( 'HTML', 'html' ),
+                        ]),
+                        O.when( content, 'form.signatureType',
+                        function ( type ) {
+                            return type === 'html';
+                        }).show([
+                            new O.TextView({
+                                type: 'v-Identities-signature',
+                                isMultiline: true,
+                                placeholder: '<p>Your signature…</p>',
+                                value: bindTwoWay(
+                                    content, 'form.htmlSignature' ),
+                            }),
+                        ]).otherwise([
+                            new O.TextView({
+                                type: 'v-Identities-signature',
+                                isMultiline: true,
+                                placeholder: 'Your signature…',
+                                value: bindTwoWay(
+                                    content, 'form.textSignature' ),
+                            }),
+                        ]).end(),
+                        el( 'h4.v-Identities-previewTitle', [ 'Preview' ] ),
+                        new SignaturePreviewView({
+                            form: bind( content, 'form' ),
+                        }),
+                        el( 'p.v-Settings-error', {
+                            text: bind( content, 'form.error' ),
+                        }),
+                        el( 'div.v-Settings-actions', [
+                            new O.ButtonView({
+                                type: 'v-Settings-save',
+                                label: 'Save',
+                                isDisabled: bind( content, 'form.error',
+                                function ( error ) {
+                                    return !!error;
+                                }),
+                                target: content,
+                                method: 'save',
+                            }),
+                            new O.ButtonView({
+                                label: 'Revert',
+                                target: content,
+                                method: 'revert',
+                            }),
+                            new O.ButtonView({
+                                type: 'v-Settings-delete',
+                                label: 'Delete',
+                                isDisabled: bind( content, 'form.identity',
+                                function ( identity ) {
+                                    return !identity ||
+                                        !identity.get( 'mayDelete' );
+                                }),
+                                target: content,
+                                method: 'destroyIdentity',
+                            }),
+                        ]),
+                    ]),
+                ]).end(),
+            ]),
+        ];
+    },
+});
+
+App.IdentitiesView = IdentitiesView;
+
+}() );
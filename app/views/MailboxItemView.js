@@ -4,7 +4,7 @@
 // Requires: namespace.js                                                     \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, App, JMAP */
+/*global O, App, JMAP, DOMParser */
 
 ( function () {
 
@@ -13,15 +13,30 @@ const el = O.Element.create;
 // ---
 
 var filterIsSentOrDraft = function ( filter ) {
+    if ( filter.operator === 'AND' ) {
+        return filter.conditions.some( filterIsSentOrDraft );
+    }
     if ( filter.operator ) {
         return filter.conditions.every( filterIsSentOrDraft );
     }
     var mailboxId = filter.inMailbox;
-    var role = mailboxId &&
-            JMAP.store.getRecord( null, JMAP.Mailbox, mailboxId ).get( 'role' );
+    var role = mailboxId && JMAP.store.getRecord(
+            App.state.get( 'accountId' ), JMAP.Mailbox, mailboxId
+        ).get( 'role' );
     return role === 'sent' || role === 'draft';
 };
 
+// Search snippets are HTML with matching terms wrapped in <mark> tags; keep
+// just the text and those highlights.
+var drawSnippet = function ( html ) {
+    var body = new DOMParser().parseFromString( html, 'text/html' ).body;
+    return Array.prototype.map.call( body.childNodes, function ( node ) {
+        return node.nodeName === 'MARK' ?
+            el( 'mark', [ node.textContent ] ) :
+            node.textContent;
+    });
+};
+
 var READY = O.Status.READY;
 
 var MailboxItemView = O.Class({
@@ -42,6 +57,8 @@ var MailboxItemView = O.Class({
 
         this.thread = null;
 
+        this._snoozeButton = null;
+
         MailboxItemView.parent.init.call( this, mixin );
 
         var message = mixin.content;
@@ -99,9 +116,17 @@ var MailboxItemView = O.Class({
     }.queue( 'after' ),
 
     listDidChange: function () {
+        var thread = this.get( 'thread' );
         this.set( 'animateLayer', false );
+        // Switched to a list of individual messages
+        if ( thread && !this.get( 'list' ).get( 'collapseThreads' ) ) {
+            thread.removeObserverForKey( '*', this, 'threadDidChange' );
+            this.set( 'thread', null );
+        }
         if ( this.thread ) {
             this.threadDidChange();
+        } else if ( this.get( 'content' ) ) {
+            this.messageDidChange();
         }
         this.propertyNeedsRedraw( this, 'layer' );
         this.resetAnimationState();
@@ -128,10 +153,12 @@ var MailboxItemView = O.Class({
 
     threadDidChange: function () {
         var thread = this.get( 'thread' );
-        var trash = JMAP.mail.getMailboxForRole( null, 'trash' );
+        var trash = JMAP.mail.getMailboxForRole(
+                thread.get( 'accountId' ), 'trash' );
         var inMailbox, isInTrash;
         if ( thread.is( READY ) ) {
-            inMailbox = this.getFromPath( 'list.filter.inMailbox' );
+            inMailbox = App.state.getFilterMailboxId(
+                this.getFromPath( 'list.where' ) );
             isInTrash = this.isInTrash =
                 !!trash && inMailbox === trash.get( 'id' );
             this.set( 'isUnread', isInTrash ?
@@ -169,23 +196,35 @@ var MailboxItemView = O.Class({
         var message = this.get( 'content' ),
             thread = this.get( 'thread' ),
             isInTrash = this.get( 'isInTrash' ),
-            isReady = !!message && !!thread && thread.isAll( READY );
+            list = this.get( 'list' ),
+            collapseThreads = list.get( 'collapseThreads' ),
+            isReady = !!message && ( collapseThreads ?
+                !!thread && thread.isAll( READY ) :
+                message.is( READY ) );
 
         if ( !isReady ) {
             return null;
         }
 
-        var list = this.get( 'list' ),
-            filter = list.get( 'filter' ),
+        var filter = list.get( 'where' ),
+            snippet = App.hasTextSearch( filter ) ?
+                list.getSnippet( message.get( 'id' ) ) : null,
             showTo = filterIsSentOrDraft( filter ),
             name = ( showTo ?
                     message.get( 'to' ) :
+                !collapseThreads ?
+                    message.get( 'from' ) || [] :
                     thread.get( isInTrash ? 'sendersInTrash' : 'senders' )
                 ).map( function ( person ) {
                     return person.name || person.email;
                 }).join( ', ' ),
             receivedAt = message.get( 'receivedAt' ),
-            total = thread.get( isInTrash ? 'totalInTrash' : 'total' ),
+            snoozed = App.snooze.get( 'mailbox' ) &&
+                App.state.getFilterMailboxId( filter ) ===
+                    App.snooze.get( 'mailbox' ).get( 'id' ) ?
+                App.snooze.getDetails( message ) : null,
+            total = !collapseThreads ? 1 :
+                thread.get( isInTrash ? 'totalInTrash' : 'total' ),
             subject = message.get( 'subject' );
 
         if ( total > 1 ) {
@@ -195,21 +234,36 @@ var MailboxItemView = O.Class({
             el( 'span.v-MailboxItem-name', [
                 name,
             ]),
+            snoozed ?
+            el( 'time.v-MailboxItem-time.is-snoozed', {
+                title: 'Snoozed until ' +
+                    O.i18n.date( snoozed.until, 'fullDateAndTime' ),
+            }, [
+                App.snooze.formatWakeTime( snoozed.until ),
+            ]) :
             el( 'time.v-MailboxItem-time', [
                 receivedAt.isToday() ?
                     O.i18n.date( receivedAt, 'time' ) :
                     O.i18n.date( receivedAt, 'date' ),
             ]),
             el( 'span.v-MailboxItem-subject', [
-                subject,
+                snippet && snippet.subject ?
+                    drawSnippet( snippet.subject ) :
+                    subject,
             ]),
             total > 1 ?
             el( 'span.v-MailboxItem-total', [
                 total + '',
             ]) : null,
             el( 'span.v-MailboxItem-preview', [
-                message.get( 'preview' ),
+                snippet && snippet.preview ?
+                    drawSnippet( snippet.preview ) :
+                    message.get( 'preview' ),
             ]),
+            App.snooze.get( 'mailbox' ) ?
+            this._snoozeButton = el( 'button.v-MailboxItem-snoozeButton', [
+                'Snooze',
+            ]) : null,
             el( 'button.v-MailboxItem-flagButton.icon-star' ),
         ];
     },
@@ -227,6 +281,12 @@ var MailboxItemView = O.Class({
             return;
         }
 
+        // Snooze button -> Snooze menu for just this item
+        if ( target === this._snoozeButton ) {
+            this.showSnoozeMenu();
+            return;
+        }
+
         // Pin button -> Pin/unflag message
         if ( target.nodeName === 'BUTTON' ) {
             JMAP.mail.setKeyword(
@@ -256,6 +316,21 @@ var MailboxItemView = O.Class({
         }
     }.on( 'click' ),
 
+    showSnoozeMenu: function () {
+        var menuView = new App.SnoozeMenuView({
+            storeKeys: [ this.get( 'content' ).get( 'storeKey' ) ],
+        });
+        new O.PopOverView().show({
+            view: menuView,
+            alignWithView: this,
+            atNode: this._snoozeButton,
+            alignEdge: 'right',
+            onHide: function () {
+                menuView.destroy();
+            },
+        });
+    },
+
     // --- Drag & Drop ---
 
     dragStarted: function ( drag ) {
@@ -271,8 +346,11 @@ var MailboxItemView = O.Class({
 
             drag._draggedStoreKey = storeKey;
             drag.set( 'dragImage', el( 'div.v-MailboxItem-drag', [
-                O.i18n.localise(
-                    '[*2,_1,1 conversation,%n conversations]', count ),
+                this.get( 'list' ).get( 'collapseThreads' ) ?
+                    O.i18n.localise(
+                        '[*2,_1,1 conversation,%n conversations]', count ) :
+                    O.i18n.localise(
+                        '[*2,_1,1 message,%n messages]', count ),
             ]));
         } else {
             drag.endDrag();
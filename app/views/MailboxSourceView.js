@@ -4,7 +4,7 @@
 // Requires: namespace.js                                                     \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, App */
+/*global O, App, JMAP */
 
 ( function () {
 
@@ -12,21 +12,45 @@ const el = O.Element.create;
 
 // ---
 
+var popOver = new O.PopOverView();
+
 var MailboxSourceView = O.Class({
 
     Extends: O.View,
 
-    Mixin: O.DropTarget,
+    Mixin: [ O.Draggable, O.DragDataSource, O.DropTarget ],
 
     isSelected: O.bind( App, 'state*mailbox', function ( mailbox ) {
         return mailbox === this.toObject.content;
     }),
 
+    // Nothing is selected while the Scheduled view is showing
+    isShowingScheduled: O.bind( App, 'scheduled*isShowing' ),
+
+    isEditing: O.bind( App, 'state*editingMailbox', function ( mailbox ) {
+        return mailbox === this.toObject.content;
+    }),
+
+    // Where a dragged mailbox will go: 'previous', 'sub', 'next' or ''
+    dropPosition: '',
+
     className: function () {
+        var dropPosition = this.get( 'dropPosition' );
         return 'v-MailboxSource' +
-            ( this.get( 'isSelected' ) ? ' is-selected' : '' ) +
-            ( this.get( 'hasDragOver' ) ? ' is-underDrag' : '' );
-    }.property( 'isSelected', 'hasDragOver' ),
+            ( this.get( 'isSelected' ) &&
+                !this.get( 'isShowingScheduled' ) ? ' is-selected' : '' ) +
+            ( this.get( 'isEditing' ) ? ' is-editing' : '' ) +
+            ( this.get( 'hasDragOver' ) ? ' is-underDrag' : '' ) +
+            ( dropPosition === 'previous' ? ' is-dropBefore' :
+              dropPosition === 'next' ? ' is-dropAfter' : '' );
+    }.property( 'isSelected', 'isShowingScheduled', 'isEditing',
+        'hasDragOver', 'dropPosition' ),
+
+    init: function ( options ) {
+        MailboxSourceView.parent.init.call( this, options );
+        this._input = null;
+        this._cancelEditing = false;
+    },
 
     draw: function ( layer ) {
         var mailbox = this.get( 'content' ),
@@ -34,6 +58,24 @@ var MailboxSourceView = O.Class({
             badgeProperty = ( role === 'drafts' ) ? 'totalMessages' :
                 ( role === 'sent' || role === 'archive' ) ?
                     null : 'unreadThreads';
+        if ( this.get( 'isEditing' ) ) {
+            O.RunLoop.queueFn( 'after', this.focusInput, this );
+            return el( 'div.v-MailboxSource-edit', {
+                style: O.bind( mailbox, 'depth', function ( depth ) {
+                    return 'padding-left:' + ( depth * 15 ) + 'px';
+                }),
+            }, [
+                this._input = new O.TextView({
+                    value: mailbox.get( 'name' ),
+                    blurOnKeys: { Enter: true, Escape: true },
+                    didBlur: function () {
+                        if ( !this.get( 'isFocused' ) ) {
+                            this.get( 'parentView' ).finishEditing();
+                        }
+                    }.observes( 'isFocused' ),
+                }),
+            ]);
+        }
         return [
             el( 'div.v-MailboxSource-name', {
                 style: O.bind( mailbox, 'depth', function ( depth ) {
@@ -54,29 +96,195 @@ var MailboxSourceView = O.Class({
         ];
     },
 
+    isEditingDidChange: function () {
+        this._cancelEditing = false;
+        this.propertyNeedsRedraw( this, 'layer' );
+    }.observes( 'isEditing' ),
+
+    focusInput: function () {
+        var input = this._input;
+        if ( input && input.get( 'isInDocument' ) ) {
+            input.focus().selectAll();
+        }
+    },
+
     select: function () {
-        App.state.set( 'mailbox', this.get( 'content' ) );
+        if ( !this.get( 'isEditing' ) ) {
+            App.scheduled.hide();
+            App.state.set( 'mailbox', this.get( 'content' ) );
+        }
     }.on( 'click' ),
 
+    // --- Editing ---
+
+    rename: function () {
+        App.state.set( 'editingMailbox', this.get( 'content' ) );
+    },
+
+    cancelOnEscape: function ( event ) {
+        if ( O.DOMEvent.lookupKey( event ) === 'Escape' ) {
+            this._cancelEditing = true;
+        }
+    }.on( 'keydown' ),
+
+    finishEditing: function () {
+        var input = this._input;
+        if ( !this.get( 'isEditing' ) ) {
+            return;
+        }
+        if ( !this._cancelEditing ) {
+            App.actions.renameMailbox(
+                this.get( 'content' ), input.get( 'value' ) );
+        }
+        this._input = null;
+        App.state.set( 'editingMailbox', null );
+    },
+
+    // --- Context menu ---
+
+    showContextMenu: function ( event ) {
+        var mailbox = this.get( 'content' );
+        var rights = mailbox.get( 'myRights' );
+        var layer = this.get( 'layer' );
+        var position = layer.getBoundingClientRect();
+        event.preventDefault();
+        popOver.show({
+            view: new O.MenuView({
+                options: [
+                    new O.ButtonView({
+                        label: 'New Subfolder',
+                        isDisabled: !rights.mayCreateChild,
+                        target: this,
+                        method: 'createSubfolder',
+                    }),
+                    new O.ButtonView({
+                        label: 'Rename',
+                        isDisabled: !rights.mayRename,
+                        target: this,
+                        method: 'rename',
+                    }),
+                    new O.ButtonView({
+                        label: 'Delete…',
+                        isDisabled:
+                            !rights.mayDelete || !!mailbox.get( 'role' ),
+                        target: this,
+                        method: 'deleteMailbox',
+                    }),
+                ],
+            }),
+            alignWithView: this,
+            positionToThe: 'bottom',
+            alignEdge: 'left',
+            offsetLeft: event.clientX - position.left,
+            offsetTop: event.clientY - position.bottom,
+        });
+    }.on( 'contextmenu' ),
+
+    createSubfolder: function () {
+        App.actions.createMailbox( this.get( 'content' ) );
+    },
+
+    deleteMailbox: function () {
+        App.actions.deleteMailbox( this.get( 'content' ) );
+    },
+
+    // --- Draggable ---
+
+    dragStarted: function ( drag ) {
+        var mailbox = this.get( 'content' );
+        if ( this.get( 'isEditing' ) || !mailbox.get( 'myRights' ).mayRename ) {
+            drag.endDrag();
+            return;
+        }
+        drag.set( 'dragImage', el( 'div.v-MailboxSource-drag', [
+            mailbox.get( 'name' ),
+        ]));
+    },
+
+    // --- DragDataSource ---
+
+    dragDataTypes: [ 'MailboxStoreKey' ],
+
+    getDragDataOfType: function ( type/*, drag*/ ) {
+        if ( type === 'MailboxStoreKey' ) {
+            return this.get( 'content' ).get( 'storeKey' );
+        }
+    },
+
     // --- DropTarget ---
 
     dropAcceptedDataTypes: {
         MessageStoreKeys: true,
+        MailboxStoreKey: true,
+    },
+
+    getDraggedMailbox: function ( drag ) {
+        var mailbox = null;
+        drag.getDataOfType( 'MailboxStoreKey', function ( storeKey ) {
+            if ( storeKey ) {
+                mailbox = JMAP.store.getRecordFromStoreKey( storeKey );
+            }
+        });
+        return mailbox;
+    },
+
+    // Top third: before; bottom third: after; middle: make a subfolder.
+    getDropPosition: function ( drag ) {
+        var target = this.get( 'content' );
+        var mailbox = this.getDraggedMailbox( drag );
+        var position, y;
+        if ( !mailbox || !App.actions.canMoveMailbox( mailbox, target ) ) {
+            return '';
+        }
+        position = this.get( 'layer' ).getBoundingClientRect();
+        y = ( drag.get( 'cursorPosition' ).y - position.top ) /
+            position.height;
+        return y < 0.33 ? 'previous' :
+            y > 0.67 ? 'next' :
+            target.get( 'myRights' ).mayCreateChild ? 'sub' : '';
+    },
+
+    // Messages are dragged from the list, so are in the account being viewed;
+    // they can't be moved to another account.
+    canDropMessages: function () {
+        var mailbox = this.get( 'content' );
+        return mailbox.get( 'myRights' ).mayAddItems &&
+            mailbox.get( 'accountId' ) === App.state.get( 'accountId' );
     },
 
     dropEntered: function ( drag ) {
-        if ( this.get( 'content' ).get( 'myRights' ).mayAddItems ) {
-            this.set( 'hasDragOver', true );
-            drag.set( 'dropEffect', O.DragEffect.MOVE );
+        this.dropMoved( drag );
+    },
+    dropMoved: function ( drag ) {
+        var canDrop, dropPosition;
+        if ( drag.hasDataType( 'MailboxStoreKey' ) ) {
+            dropPosition = this.getDropPosition( drag );
+            canDrop = !!dropPosition;
+            this.set( 'dropPosition', dropPosition === 'sub' ?
+                '' : dropPosition );
+            this.set( 'hasDragOver', dropPosition === 'sub' );
+        } else {
+            canDrop = this.canDropMessages();
+            this.set( 'hasDragOver', canDrop );
         }
+        drag.set( 'dropEffect',
+            canDrop ? O.DragEffect.MOVE : O.DragEffect.DEFAULT );
     },
     dropExited: function ( drag ) {
-        this.set( 'hasDragOver', false );
+        this.set( 'hasDragOver', false )
+            .set( 'dropPosition', '' );
         drag.set( 'dropEffect', O.DragEffect.DEFAULT );
     },
     drop: function ( drag ) {
         var mailbox = this.get( 'content' );
-        if ( mailbox.get( 'myRights' ).mayAddItems ) {
+        var dropPosition;
+        if ( drag.hasDataType( 'MailboxStoreKey' ) ) {
+            dropPosition = this.getDropPosition( drag );
+            if ( dropPosition ) {
+                App.actions.moveMailbox(
+                    this.getDraggedMailbox( drag ), mailbox, dropPosition );
+            }
+        } else if ( this.canDropMessages() ) {
             drag.getDataOfType( 'MessageStoreKeys', function ( storeKeys ) {
                 if ( storeKeys ) {
                     App.actions.move( storeKeys, mailbox );
@@ -86,6 +294,60 @@ var MailboxSourceView = O.Class({
     },
 });
 
+// ---
+
+// An account's mailboxes in the sidebar. When there is more than one account,
+// each has a heading with its name, which shows or hides its mailboxes.
+var AccountSourceView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-AccountSource',
+
+    hasHeading: O.bind( App, 'state*accounts.length', function ( length ) {
+        return length > 1;
+    }),
+
+    isCollapsed: O.bind( App, 'state*collapsedAccountIds', function ( ids ) {
+        return ids.includes( this.toObject.content.id );
+    }),
+
+    isShowingMailboxes: function () {
+        return !this.get( 'hasHeading' ) || !this.get( 'isCollapsed' );
+    }.property( 'hasHeading', 'isCollapsed' ),
+
+    draw: function ( layer ) {
+        var account = this.get( 'content' );
+        return [
+            O.when( this, 'hasHeading' ).show([
+                new O.ButtonView({
+                    type: O.bind( this, 'isCollapsed',
+                    function ( isCollapsed ) {
+                        return 'v-AccountSource-name' +
+                            ( isCollapsed ? ' is-collapsed' : '' );
+                    }),
+                    label: account.name,
+                    tooltip: account.isPersonal ? '' :
+                        account.isReadOnly ?
+                            'Shared with you (read only)' :
+                            'Shared with you',
+                    method: 'select',
+                    select: function () {
+                        App.state.toggleAccount( account.id );
+                    },
+                }),
+            ]).end(),
+            O.when( this, 'isShowingMailboxes' ).show([
+                new O.ListView({
+                    content: App.state.getAccountMailboxes( account.id ),
+                    ItemView: MailboxSourceView,
+                }),
+            ]).end(),
+        ];
+    },
+});
+
 App.MailboxSourceView = MailboxSourceView;
+App.AccountSourceView = AccountSourceView;
 
 }() );
@@ -27,6 +27,70 @@ var drawNames = function ( people ) {
 
 var READY = O.Status.READY;
 
+// Where each recipient's copy of a sent message has got to. The submissions
+// are kept up to date by push, so this redraws whenever they change.
+var DeliveryView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Delivery',
+
+    init: function ( options ) {
+        DeliveryView.parent.init.call( this, options );
+        App.delivery.fetch( this.get( 'content' ) );
+        JMAP.store.on( JMAP.MessageSubmission, this, 'submissionsDidChange' );
+    },
+
+    destroy: function () {
+        JMAP.store.off( JMAP.MessageSubmission, this, 'submissionsDidChange' );
+        DeliveryView.parent.destroy.call( this );
+    },
+
+    draw: function ( layer ) {
+        var delivery = App.delivery;
+        return delivery.getSubmissions( this.get( 'content' ) ).map(
+        function ( submission ) {
+            var sendAt = submission.get( 'sendAt' );
+            return el( 'div.v-Delivery-submission', [
+                el( 'div.v-Delivery-header', [
+                    sendAt ? O.i18n.date( sendAt, 'fullDateAndTime' ) : '',
+                    delivery.getReports( submission ).map(
+                    function ( report ) {
+                        // Fetched with the Authorization header, which a
+                        // plain link wouldn't send
+                        return new O.ButtonView({
+                            type: 'v-Delivery-report',
+                            label: 'Download delivery report',
+                            method: 'download',
+                            download: function () {
+                                App.attachments.download(
+                                    submission.get( 'accountId' ), report );
+                            },
+                        });
+                    }),
+                ]),
+                el( 'ul.v-Delivery-list',
+                    delivery.getRecipients( submission ).map(
+                    function ( recipient ) {
+                        return el( 'li.v-Delivery-recipient', {
+                            title: recipient.smtpReply,
+                        }, [
+                            el( 'span.v-Delivery-email', [ recipient.email ] ),
+                            el( 'span.v-Delivery-state.is-' + recipient.state, [
+                                recipient.label,
+                            ]),
+                        ]);
+                    })
+                ),
+            ]);
+        });
+    },
+
+    submissionsDidChange: function () {
+        this.propertyNeedsRedraw( this, 'layer' );
+    },
+});
+
 var MessageView = O.Class({
 
     Extends: O.View,
@@ -54,6 +118,7 @@ var MessageView = O.Class({
         this._loading = null;
         this._observingDetails = false;
         this._markReadTimer = null;
+        this._allowRemote = false;
 
         this.isExpanded = false;
         this.checkIfExpanded();
@@ -205,40 +270,200 @@ var MessageView = O.Class({
 
         this._hasDrawnBody = true;
         this.checkSize();
-        var render = el( 'div.v-Message-body', [
-            bodyParts.html.map( function ( part ) {
-                var partRender = null;
-                var partValue = bodyValues[ part.partId ].value;
-                switch ( part.type.slice( 0, part.type.indexOf( '/' ) ) ) {
-                case 'text':
-                    if ( part.type === 'text/plain' ) {
-                        partRender = el( 'pre', [
-                            partValue,
-                        ]);
-                    } else {
-                        partRender = App.drawHTML( partValue );
-                    }
-                    break;
-                case 'image':
-                    partRender = el( 'div.u-alignCentre', [
-                        el( 'img.v-Message-image', {
-                            src: JMAP.auth.getUrlForBlob(
-                                null, part.blobId, part.type, part.name ),
-                        }),
+
+        var allowRemote = this._allowRemote ||
+            App.trustedSenders.isTrusted( message.get( 'fromEmail' ) );
+        var blocked = {
+            remote: 0,
+            trackers: 0,
+        };
+        var parts = bodyParts.html.map( function ( part ) {
+            var partRender = null;
+            var partValue = bodyValues[ part.partId ].value;
+            switch ( part.type.slice( 0, part.type.indexOf( '/' ) ) ) {
+            case 'text':
+                if ( part.type === 'text/plain' ) {
+                    partRender = el( 'pre', [
+                        partValue,
                     ]);
-                    break;
+                } else {
+                    partRender =
+                        App.drawHTML( partValue, allowRemote, blocked );
                 }
-                return partRender;
-            }),
+                break;
+            case 'image':
+                partRender = el( 'div.u-alignCentre', [
+                    el( 'img.v-Message-image', {
+                        src: JMAP.auth.getUrlForBlob(
+                            null, part.blobId, part.type, part.name ),
+                    }),
+                ]);
+                break;
+            }
+            return partRender;
+        });
+        var render = el( 'div.v-Message-body', [
+            blocked.remote ? this._drawRemoteBanner( blocked ) : null,
+            parts,
+            this._drawAttachments(),
+            this._drawDelivery(),
+            this._drawActions(),
         ]);
         this._body = render;
         return render;
     },
 
+    _drawRemoteBanner: function ( blocked ) {
+        var email = this.get( 'content' ).get( 'fromEmail' ) || '';
+        var domain = email.slice( email.indexOf( '@' ) + 1 );
+        var trackers = blocked.trackers;
+        return el( 'div.v-Message-remote', [
+            el( 'span.v-Message-remoteText', [
+                'Remote images have been blocked to protect your privacy.',
+                trackers ? ' ' + ( trackers === 1 ? '1 tracker' :
+                    trackers + ' trackers' ) + ' blocked.' : '',
+            ]),
+            new O.ButtonView({
+                label: 'Load images',
+                target: this,
+                method: 'loadRemote',
+            }),
+            email ? new O.ButtonView({
+                label: 'Always load from ' + email,
+                target: this,
+                method: 'trustSender',
+            }) : null,
+            domain ? new O.ButtonView({
+                label: 'Always load from ' + domain,
+                target: this,
+                method: 'trustDomain',
+            }) : null,
+        ]);
+    },
+
+    _drawAttachments: function () {
+        var message = this.get( 'content' );
+        var attachments = App.attachments;
+        var files = attachments.getFiles( message );
+        var count = files.length;
+        if ( !count ) {
+            return null;
+        }
+        return el( 'div.v-Attachments', [
+            el( 'div.v-Attachments-header', [
+                count === 1 ? '1 attachment' : count + ' attachments',
+                count > 1 ? new O.ButtonView({
+                    type: 'v-Attachments-zip',
+                    label: O.bind( attachments, 'isZipping',
+                    function ( isZipping ) {
+                        return isZipping ? 'Preparing zip…' : 'Download all';
+                    }),
+                    isDisabled: O.bind( attachments, 'isZipping' ),
+                    target: this,
+                    method: 'downloadAllAttachments',
+                }) : null,
+            ]),
+            el( 'ul.v-Attachments-list', files.map( function ( part ) {
+                var category = attachments.getTypeCategory( part );
+                var name = part.name || 'attachment';
+                return el( 'li.v-Attachment', [
+                    el( 'span.v-Attachment-type.is-' + category, [
+                        attachments.getTypeLabel( part ),
+                    ]),
+                    el( 'span.v-Attachment-name', {
+                        title: name,
+                        text: name,
+                    }),
+                    el( 'span.v-Attachment-size', [
+                        O.i18n.fileSize( part.size ),
+                    ]),
+                    attachments.getPreviewKind( part ) ? new O.ButtonView({
+                        label: 'Preview',
+                        part: part,
+                        target: this,
+                        method: 'previewAttachment',
+                    }) : null,
+                    new O.ButtonView({
+                        label: 'Download',
+                        part: part,
+                        target: this,
+                        method: 'downloadAttachment',
+                    }),
+                ]);
+            }, this ) ),
+        ]);
+    },
+
+    // Delivery status is shown for messages we sent.
+    _drawDelivery: function () {
+        var message = this.get( 'content' );
+        var sent = JMAP.mail.getMailboxForRole(
+            message.get( 'accountId' ), 'sent' );
+        return sent && message.get( 'mailboxes' ).contains( sent ) ?
+            new DeliveryView({
+                content: message,
+            }) :
+            null;
+    },
+
+    _drawActions: function () {
+        var message = this.get( 'content' );
+        return el( 'div.v-Message-actions', message.get( 'isDraft' ) ? [
+            new O.ButtonView({
+                label: 'Edit Draft',
+                target: this,
+                method: 'editDraft',
+            }),
+        ] : [
+            new O.ButtonView({
+                label: 'Reply',
+                target: this,
+                method: 'reply',
+            }),
+            new O.ButtonView({
+                label: 'Reply All',
+                target: this,
+                method: 'replyAll',
+            }),
+            new O.ButtonView({
+                label: 'Forward',
+                target: this,
+                method: 'forward',
+            }),
+            new O.ButtonView({
+                label: 'Redirect',
+                tooltip: 'Send this message on to someone else unchanged',
+                target: this,
+                method: 'redirect',
+            }),
+        ]);
+    },
+
+    redrawBody: function () {
+        var body = this._body;
+        if ( !body ) {
+            return;
+        }
+        // Remove the child views drawn inside the old body
+        this.get( 'childViews' ).filter( function ( view ) {
+            return O.Element.contains( body, view.get( 'layer' ) );
+        }).forEach( function ( view ) {
+            this.removeView( view );
+            view.destroy();
+        }, this );
+        var prevView = O.Element.forView( this );
+        this.get( 'layer' ).replaceChild( this._drawBody(), body );
+        O.Element.forView( prevView );
+    },
+
     redrawIsExpanded: function () {
         if ( this.get( 'content' ).get( 'detailsStatus' ) === READY &&
                 !this._hasDrawnBody ) {
+            // The body contains child views, so must be drawn in the context
+            // of this view.
+            var prevView = O.Element.forView( this );
             this.get( 'layer' ).replaceChild( this._drawBody(), this._loading );
+            O.Element.forView( prevView );
             this._loading = null;
         }
     },
@@ -300,6 +525,55 @@ var MessageView = O.Class({
     markRead: function () {
         JMAP.mail.setUnread( [ this.get( 'content' ) ], false, false );
     },
+
+    reply: function () {
+        App.composer.reply( this.get( 'content' ), false );
+    },
+
+    replyAll: function () {
+        App.composer.replyAll( this.get( 'content' ) );
+    },
+
+    forward: function () {
+        App.composer.forward( this.get( 'content' ) );
+    },
+
+    redirect: function () {
+        App.redirect.open( this.get( 'content' ) );
+    },
+
+    editDraft: function () {
+        App.composer.editDraft( this.get( 'content' ) );
+    },
+
+    loadRemote: function () {
+        this._allowRemote = true;
+        this.propertyNeedsRedraw( this, 'body' );
+    },
+
+    trustSender: function () {
+        App.trustedSenders.trust( this.get( 'content' ).get( 'fromEmail' ) );
+        this.loadRemote();
+    },
+
+    trustDomain: function () {
+        App.trustedSenders.trust(
+            this.get( 'content' ).get( 'fromEmail' ), true );
+        this.loadRemote();
+    },
+
+    previewAttachment: function ( button ) {
+        App.attachments.preview( this.get( 'content' ), button.get( 'part' ) );
+    },
+
+    downloadAttachment: function ( button ) {
+        App.attachments.download(
+            this.get( 'content' ).get( 'accountId' ), button.get( 'part' ) );
+    },
+
+    downloadAllAttachments: function () {
+        App.attachments.downloadAll( this.get( 'content' ) );
+    },
 });
 
 App.MessageView = MessageView;
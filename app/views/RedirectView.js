@@ -0,0 +1,88 @@
+// -------------------------------------------------------------------------- \\
+// File: RedirectView.js                                                      \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+var RedirectView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Redirect',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        return [
+            el( 'div.v-Redirect-modal', [
+                el( 'h2.v-Redirect-title', [ 'Redirect message' ] ),
+                el( 'p.v-Redirect-subject', {
+                    text: O.bind( content, 'message.subject' ),
+                }),
+                el( 'p.v-Redirect-note', [
+                    'The message is sent on unchanged, as it was received.',
+                ]),
+                new O.TextView({
+                    placeholder: 'To',
+                    isDisabled: O.bind( content, 'status',
+                        O.Transform.toBoolean ),
+                    value: O.bindTwoWay( content, 'to' ),
+                }),
+                O.when( content, 'status' ).show([
+                    el( 'p', {
+                        className: O.bind( content, 'status',
+                        function ( status ) {
+                            return 'v-Redirect-status is-' + status;
+                        }),
+                        text: O.bind( content, 'statusText' ),
+                    }),
+                ]).otherwise([
+                    el( 'p.v-Redirect-error', {
+                        text: O.bind( content, 'error' ),
+                    }),
+                ]).end(),
+                el( 'div.v-Redirect-actions', [
+                    new O.ButtonView({
+                        type: 'v-Redirect-send',
+                        label: 'Redirect',
+                        isDisabled: O.bind( content, 'canSend',
+                            O.Transform.invert ),
+                        target: content,
+                        method: 'send',
+                    }),
+                    new O.ButtonView({
+                        label: O.bind( content, 'status',
+                        function ( status ) {
+                            return status ? 'Close' : 'Cancel';
+                        }),
+                        shortcut: 'Escape',
+                        target: content,
+                        method: 'close',
+                    }),
+                ]),
+            ]),
+        ];
+    },
+
+    // Clicking the backdrop closes the dialog
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.get( 'content' ).close();
+        }
+    }.on( 'click' ),
+});
+
+App.RedirectView = RedirectView;
+
+}() );
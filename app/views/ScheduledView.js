@@ -0,0 +1,212 @@
+// -------------------------------------------------------------------------- \\
+// File: ScheduledView.js                                                     \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+// The "Send later" options in the composer: the snooze presets the server can
+// hold a message until, or a custom time.
+var SendLaterMenuView = O.Class({
+
+    Extends: O.MenuView,
+
+    options: function () {
+        var scheduled = App.scheduled;
+        return App.snooze.getPresets().filter( function ( preset ) {
+            return scheduled.canSendAt( preset.until );
+        }).map( function ( preset ) {
+            return new O.ButtonView({
+                label: preset.label + ' – ' +
+                    App.snooze.formatWakeTime( preset.until ),
+                method: 'select',
+                select: function () {
+                    App.composer.send( preset.until );
+                },
+            });
+        }).concat( new O.ButtonView({
+            label: 'Choose a date and time…',
+            target: scheduled,
+            method: 'chooseTime',
+        }));
+    }.property(),
+});
+
+// Asks when to send the draft, or when to reschedule a submission for.
+var ScheduleTimeView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-ScheduleTime',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        return [
+            el( 'div.v-ScheduleTime-modal', [
+                el( 'h2.v-ScheduleTime-title', {
+                    text: O.bind( content, 'submission',
+                    function ( submission ) {
+                        return submission ? 'Reschedule' : 'Send later';
+                    }),
+                }),
+                new O.TextView({
+                    inputType: 'datetime-local',
+                    value: O.bindTwoWay( content, 'customTime' ),
+                }),
+                el( 'p.v-ScheduleTime-error', {
+                    text: O.bind( content, 'customError' ),
+                }),
+                el( 'div.v-ScheduleTime-actions', [
+                    new O.ButtonView({
+                        type: 'v-ScheduleTime-save',
+                        label: 'Schedule',
+                        isDisabled: O.bind( content, 'customError',
+                            O.Transform.toBoolean ),
+                        target: content,
+                        method: 'scheduleAtCustomTime',
+                    }),
+                    new O.ButtonView({
+                        label: 'Cancel',
+                        shortcut: 'Escape',
+                        target: content,
+                        method: 'cancelChoosing',
+                    }),
+                ]),
+            ]),
+        ];
+    },
+
+    // Clicking the backdrop cancels
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.get( 'content' ).cancelChoosing();
+        }
+    }.on( 'click' ),
+});
+
+// ---
+
+var formatRecipients = function ( submission ) {
+    var envelope = submission.get( 'envelope' );
+    var message = submission.get( 'message' );
+    return envelope ?
+        envelope.rcptTo.map( function ( address ) {
+            return address.email;
+        }).join( ', ' ) :
+        App.formatAddresses( ( message.get( 'to' ) || [] )
+            .concat( message.get( 'cc' ) || [], message.get( 'bcc' ) || [] ) );
+};
+
+var SubmissionListView = O.Class({
+
+    Extends: O.View,
+
+    layerTag: 'ul',
+
+    className: 'v-Scheduled-list',
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        var submissions = content.get( 'submissions' );
+        if ( !submissions.length ) {
+            return el( 'li.v-Scheduled-empty', [
+                content.get( 'isLoading' ) ?
+                    'Loading…' : 'No Scheduled Messages',
+            ]);
+        }
+        return submissions.map( function ( submission ) {
+            var message = submission.get( 'message' );
+            var sendAt = submission.get( 'sendAt' );
+            return el( 'li.v-Scheduled-item', [
+                el( 'div.v-Scheduled-details', [
+                    el( 'div.v-Scheduled-subject', {
+                        text: O.bind( message, 'subject',
+                        function ( subject ) {
+                            return subject || '(No subject)';
+                        }),
+                    }),
+                    el( 'div.v-Scheduled-to', [
+                        'To: ' + formatRecipients( submission ),
+                    ]),
+                ]),
+                el( 'time.v-Scheduled-sendAt', [
+                    sendAt ? O.i18n.date( sendAt, 'fullDateAndTime' ) : '',
+                ]),
+                new O.ButtonView({
+                    label: 'Reschedule…',
+                    method: 'select',
+                    select: function () {
+                        content.chooseTime( submission );
+                    },
+                }),
+                new O.ButtonView({
+                    type: 'v-Scheduled-cancel',
+                    label: 'Cancel',
+                    tooltip: 'Don’t send, and move back to Drafts',
+                    method: 'select',
+                    select: function () {
+                        content.cancel( submission );
+                    },
+                }),
+            ]);
+        });
+    },
+
+    submissionsNeedRedraw: function () {
+        this.propertyNeedsRedraw( this, 'layer' );
+    }.observes( 'content.submissions', 'content.isLoading' ),
+});
+
+// The pending submissions, shown in place of the mailbox and message panes.
+var ScheduledView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Scheduled',
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        return [
+            el( 'div.app-toolbar.v-Scheduled-toolbar', [
+                el( 'div.v-MailboxTitle', [
+                    el( 'div.v-MailboxTitle-name', [ 'Scheduled' ] ),
+                    new O.ButtonView({
+                        type: 'v-MailboxTitle-button',
+                        label: 'Refresh',
+                        target: content,
+                        method: 'fetch',
+                    }),
+                    new O.ButtonView({
+                        type: 'v-MailboxTitle-button',
+                        label: 'Compose',
+                        target: App.composer,
+                        method: 'compose',
+                    }),
+                ]),
+            ]),
+            el( 'p.v-Scheduled-error', {
+                text: O.bind( content, 'error' ),
+            }),
+            new SubmissionListView({
+                content: content,
+            }),
+        ];
+    },
+});
+
+App.SendLaterMenuView = SendLaterMenuView;
+App.ScheduleTimeView = ScheduleTimeView;
+App.ScheduledView = ScheduledView;
+
+}() );
@@ -0,0 +1,82 @@
+// -------------------------------------------------------------------------- \\
+// File: SettingsView.js                                                      \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+var SettingsView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Settings',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        var panes = content.get( 'panes' );
+        return [
+            el( 'div.v-Settings-modal', [
+                el( 'div.v-Settings-header', [
+                    el( 'h2.v-Settings-title', [ 'Settings' ] ),
+                    new O.ButtonView({
+                        label: 'Close',
+                        shortcut: 'Escape',
+                        target: content,
+                        method: 'close',
+                    }),
+                ]),
+                el( 'div.v-Settings-main', [
+                    el( 'div.v-Settings-nav', panes.map( function ( pane ) {
+                        return new O.ButtonView({
+                            label: pane.label,
+                            pane: pane.id,
+                            isActive: O.bind( content, 'pane',
+                            function ( current ) {
+                                return current === pane.id;
+                            }),
+                            target: content,
+                            method: 'show',
+                        });
+                    })),
+                    el( 'div.v-Settings-pane', [
+                        new O.SwitchView({
+                            index: O.bind( content, 'pane',
+                            function ( current ) {
+                                return panes.findIndex( function ( pane ) {
+                                    return pane.id === current;
+                                });
+                            }),
+                            views: panes.map( function ( pane ) {
+                                return new pane.View({
+                                    content: pane.content,
+                                });
+                            }),
+                        }),
+                    ]),
+                ]),
+            ]),
+        ];
+    },
+
+    // Clicking the backdrop closes the settings
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.get( 'content' ).close();
+        }
+    }.on( 'click' ),
+});
+
+App.SettingsView = SettingsView;
+
+}() );
@@ -0,0 +1,126 @@
+// -------------------------------------------------------------------------- \\
+// File: ShortcutsView.js                                                     \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+// Shows the key bound to a command; click it then press a new key to change.
+var KeyButtonView = O.Class({
+
+    Extends: O.ButtonView,
+
+    type: 'v-Shortcuts-key',
+
+    command: null,
+
+    keys: O.bind( 'content.keys' ),
+    recording: O.bind( 'content.recording' ),
+
+    isActive: function () {
+        return this.get( 'recording' ) === this.get( 'command' );
+    }.property( 'recording' ),
+
+    label: function () {
+        var content = this.get( 'content' );
+        return this.get( 'isActive' ) ?
+            'Press a key…' :
+            content.formatKey( this.get( 'keys' )[ this.command.id ] );
+    }.property( 'keys', 'isActive' ),
+
+    tooltip: 'Click to change',
+});
+
+var ShortcutsView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Shortcuts',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        var groups = [];
+        var rows = {};
+        content.get( 'commands' ).forEach( function ( command ) {
+            var group = command.group;
+            if ( !rows[ group ] ) {
+                groups.push( group );
+                rows[ group ] = [];
+            }
+            rows[ group ].push(
+                el( 'li.v-Shortcuts-item', [
+                    el( 'span.v-Shortcuts-label', [ command.label ] ),
+                    new KeyButtonView({
+                        content: content,
+                        command: command,
+                        target: this,
+                        method: 'record',
+                    }),
+                ])
+            );
+        }, this );
+
+        return [
+            el( 'div.v-Shortcuts-modal', [
+                el( 'div.v-Shortcuts-header', [
+                    el( 'h2.v-Shortcuts-title', [ 'Keyboard Shortcuts' ] ),
+                    new O.ButtonView({
+                        label: 'Reset to Defaults',
+                        target: content,
+                        method: 'resetKeys',
+                    }),
+                    new O.ButtonView({
+                        label: 'Close',
+                        shortcut: 'Escape',
+                        target: this,
+                        method: 'close',
+                    }),
+                ]),
+                el( 'div.v-Shortcuts-body', groups.map( function ( group ) {
+                    return el( 'div.v-Shortcuts-group', [
+                        el( 'h3.v-Shortcuts-groupTitle', [ group ] ),
+                        el( 'ul.v-Shortcuts-list', rows[ group ] ),
+                    ]);
+                })),
+            ]),
+        ];
+    },
+
+    // ---
+
+    record: function ( button ) {
+        var content = this.get( 'content' );
+        var command = button.get( 'command' );
+        if ( content.get( 'recording' ) === command ) {
+            content.stopRecording();
+        } else {
+            content.startRecording( command );
+        }
+    },
+
+    close: function () {
+        this.get( 'content' ).hideHelp();
+    },
+
+    // Clicking the backdrop closes the overlay
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.close();
+        }
+    }.on( 'click' ),
+});
+
+App.ShortcutsView = ShortcutsView;
+
+}() );
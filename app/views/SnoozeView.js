@@ -0,0 +1,111 @@
+// -------------------------------------------------------------------------- \\
+// File: SnoozeView.js                                                        \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+// The snooze presets, plus unsnoozing when in the Snoozed mailbox. Acts on the
+// selection unless given storeKeys.
+var SnoozeMenuView = O.Class({
+
+    Extends: O.MenuView,
+
+    storeKeys: null,
+
+    options: function () {
+        var storeKeys = this.get( 'storeKeys' );
+        var options = App.snooze.getPresets().map( function ( preset ) {
+            return new O.ButtonView({
+                label: preset.label + ' – ' +
+                    App.snooze.formatWakeTime( preset.until ),
+                storeKeys: storeKeys,
+                until: preset.until,
+                target: App.actions,
+                method: 'snoozeUntil',
+            });
+        });
+        options.push( new O.ButtonView({
+            label: 'Choose a date and time…',
+            method: 'select',
+            select: function () {
+                App.snooze.chooseTime( storeKeys );
+            },
+        }));
+        if ( App.state.get( 'isSnoozedMailbox' ) ) {
+            options.push( new O.ButtonView({
+                label: 'Unsnooze now',
+                method: 'select',
+                select: function () {
+                    App.actions.unsnooze( storeKeys );
+                },
+            }));
+        }
+        return options;
+    }.property(),
+});
+
+// Asks for a custom wake-up time.
+var SnoozeView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Snooze',
+
+    positioning: 'absolute',
+
+    layout: O.View.LAYOUT_FILL_PARENT,
+
+    draw: function ( layer ) {
+        var content = this.get( 'content' );
+        return [
+            el( 'div.v-Snooze-modal', [
+                el( 'h2.v-Snooze-title', [ 'Snooze until' ] ),
+                new O.TextView({
+                    inputType: 'datetime-local',
+                    value: O.bindTwoWay( content, 'customTime' ),
+                }),
+                el( 'p.v-Snooze-error', {
+                    text: O.bind( content, 'customError' ),
+                }),
+                el( 'div.v-Snooze-actions', [
+                    new O.ButtonView({
+                        type: 'v-Snooze-save',
+                        label: 'Snooze',
+                        isDisabled: O.bind( content, 'customError',
+                        function ( error ) {
+                            return !!error;
+                        }),
+                        target: content,
+                        method: 'snoozeUntilCustomTime',
+                    }),
+                    new O.ButtonView({
+                        label: 'Cancel',
+                        shortcut: 'Escape',
+                        target: content,
+                        method: 'cancel',
+                    }),
+                ]),
+            ]),
+        ];
+    },
+
+    // Clicking the backdrop cancels
+    onClick: function ( event ) {
+        if ( event.target === this.get( 'layer' ) ) {
+            this.get( 'content' ).cancel();
+        }
+    }.on( 'click' ),
+});
+
+App.SnoozeMenuView = SnoozeMenuView;
+App.SnoozeView = SnoozeView;
+
+}() );
@@ -0,0 +1,119 @@
+// -------------------------------------------------------------------------- \\
+// File: VacationView.js                                                      \\
+// Module: Mail                                                               \\
+// Requires: namespace.js                                                     \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, App */
+
+( function () {
+
+const el = O.Element.create;
+
+// ---
+
+var VacationView = O.Class({
+
+    Extends: O.View,
+
+    className: 'v-Vacation',
+
+    draw: function ( layer ) {
+        var bind = O.bind;
+        var bindTwoWay = O.bindTwoWay;
+        var field = function ( label, view ) {
+            return el( 'label.v-Settings-field', [
+                el( 'span.v-Settings-label', [ label ] ),
+                view,
+            ]);
+        };
+        return [
+            el( 'h3.v-Settings-paneTitle', [ 'Out of Office' ] ),
+            O.unless( this, 'content.record' ).show([
+                el( 'p.v-Settings-note', [
+                    'This account does not support automatic replies.',
+                ]),
+            ]).end(),
+            O.when( this, 'content.form' ).show([
+                new O.CheckboxView({
+                    label: 'Send an automatic reply to incoming messages',
+                    value: bindTwoWay( this, 'content.form.isEnabled' ),
+                }),
+                new O.CheckboxView({
+                    label: 'Only send during these dates',
+                    value: bindTwoWay( this, 'content.form.hasDates' ),
+                }),
+                el( 'div.v-Vacation-dates', [
+                    field( 'First day', new O.TextView({
+                        inputType: 'date',
+                        isDisabled: bind( this, 'content.form.hasDates',
+                            O.Transform.invert ),
+                        value: bindTwoWay( this, 'content.form.fromDate' ),
+                    })),
+                    field( 'Last day', new O.TextView({
+                        inputType: 'date',
+                        isDisabled: bind( this, 'content.form.hasDates',
+                            O.Transform.invert ),
+                        value: bindTwoWay( this, 'content.form.toDate' ),
+                    })),
+                ]),
+                field( 'Subject', new O.TextView({
+                    placeholder: 'Leave blank to use the server default',
+                    value: bindTwoWay( this, 'content.form.subject' ),
+                })),
+                new O.TextView({
+                    type: 'v-Vacation-body',
+                    isMultiline: true,
+                    placeholder: 'I’m away until…',
+                    value: bindTwoWay( this, 'content.form.textBody' ),
+                }),
+                el( 'div.v-Vacation-preview', [
+                    el( 'h4.v-Vacation-previewTitle', [
+                        'Preview of the reply',
+                    ]),
+                    el( 'div.v-Vacation-previewSubject', {
+                        text: bind( this, 'content.form.subject',
+                        function ( subject ) {
+                            return 'Subject: ' +
+                                ( subject || 'Auto: (original subject)' );
+                        }),
+                    }),
+                    el( 'div.v-Vacation-previewBody', {
+                        text: bind( this, 'content.form.textBody',
+                        function ( textBody ) {
+                            return textBody || '(no message)';
+                        }),
+                    }),
+                ]),
+                el( 'p.v-Settings-error', {
+                    text: bind( this, 'content.form.error' ),
+                }),
+                el( 'div.v-Settings-actions', [
+                    new O.ButtonView({
+                        type: 'v-Settings-save',
+                        label: 'Save',
+                        isDisabled: bind( this, 'content.form.error',
+                        function ( error ) {
+                            return !!error;
+                        }),
+                        target: this.get( 'content' ),
+                        method: 'save',
+                    }),
+                    new O.ButtonView({
+                        label: 'Revert',
+                        target: this.get( 'content' ),
+                        method: 'edit',
+                    }),
+                ]),
+            ]).otherwise([
+                O.when( this, 'content.record' ).show([
+                    el( 'p.v-Settings-note', [ 'Loading…' ] ),
+                ]).end(),
+            ]).end(),
+        ];
+    },
+});
+
+App.VacationView = VacationView;
+
+}() );
@@ -0,0 +1,324 @@
+// -------------------------------------------------------------------------- \\
+// File: socket-server.js                                                     \\
+// Module: Tools                                                              \\
+// Requires: Node.js 18 or later                                              \\
+// -------------------------------------------------------------------------- \\
+
+/*global require, process, Buffer, BigInt, URL, fetch, AbortController,
+    TextDecoder, console */
+
+// A local stand-in for a server that supports JMAP over WebSocket (RFC 8887),
+// for trying the app's socket support against a server that doesn't have it:
+//
+//     node tools/socket-server.js <session URL> [port]
+//
+// It serves the session from <session URL> at http://localhost:<port>/ with
+// the WebSocket capability added, and answers requests on the socket by
+// posting them to the real server's API URL, so log in with that as the
+// Session URL. Push is relayed from the real server's EventSource. Press
+// Enter to drop every socket and watch the app fall back to HTTP.
+
+var http = require( 'http' );
+var crypto = require( 'crypto' );
+
+var CAPABILITY = 'urn:ietf:params:jmap:websocket';
+// From RFC 6455, section 1.3
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+var sessionUrl = process.argv[2];
+var port = +process.argv[3] || 8080;
+
+var CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Accept, Content-Type',
+};
+
+// From the last session served. Browsers can't set headers on a WebSocket, so
+// without an access_token in its URL a socket uses the credentials the
+// session was fetched with.
+var session = null;
+var lastAuthorization = '';
+
+var sockets = new Set();
+
+var log = function () {
+    console.log.apply( console,
+        [ new Date().toISOString().slice( 11, 19 ) ].concat(
+            Array.prototype.slice.call( arguments ) ) );
+};
+
+// --- Session ---
+
+var serveSession = function ( request, response ) {
+    var authorization = request.headers.authorization || '';
+    fetch( sessionUrl, {
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': authorization,
+        },
+    }).then( function ( upstream ) {
+        return upstream.text().then( function ( text ) {
+            var data;
+            if ( upstream.ok ) {
+                data = JSON.parse( text );
+                data.capabilities[ CAPABILITY ] = {
+                    url: 'ws://localhost:' + port + '/',
+                    supportsPush: !!data.eventSourceUrl,
+                };
+                session = data;
+                lastAuthorization = authorization;
+                text = JSON.stringify( data );
+            }
+            log( 'session', upstream.status );
+            response.writeHead( upstream.status, Object.assign({
+                'Content-Type': 'application/json',
+            }, CORS_HEADERS ) );
+            response.end( text );
+        });
+    }).catch( function ( error ) {
+        log( 'session failed:', error.message );
+        response.writeHead( 502, CORS_HEADERS );
+        response.end();
+    });
+};
+
+// --- Frames (RFC 6455, section 5) ---
+
+var sendFrame = function ( socket, opcode, payload ) {
+    var length = payload.length;
+    var header;
+    if ( length < 126 ) {
+        header = Buffer.from([ 0, length ]);
+    } else if ( length < 65536 ) {
+        header = Buffer.alloc( 4 );
+        header[1] = 126;
+        header.writeUInt16BE( length, 2 );
+    } else {
+        header = Buffer.alloc( 10 );
+        header[1] = 127;
+        header.writeBigUInt64BE( BigInt( length ), 2 );
+    }
+    header[0] = 0x80 | opcode;
+    socket.write( Buffer.concat([ header, payload ]) );
+};
+
+var sendJSON = function ( socket, data ) {
+    sendFrame( socket, 1, Buffer.from( JSON.stringify( data ) ) );
+};
+
+// Calls back with the opcode and unmasked payload of each whole frame from
+// the client. Browsers don't fragment the messages they send.
+var readFrames = function ( socket, callback ) {
+    var buffer = Buffer.alloc( 0 );
+    socket.on( 'data', function ( data ) {
+        var length, offset, mask, payload, i;
+        buffer = Buffer.concat([ buffer, data ]);
+        while ( buffer.length >= 2 ) {
+            length = buffer[1] & 0x7f;
+            offset = 2;
+            if ( length === 126 ) {
+                if ( buffer.length < 4 ) {
+                    return;
+                }
+                length = buffer.readUInt16BE( 2 );
+                offset = 4;
+            } else if ( length === 127 ) {
+                if ( buffer.length < 10 ) {
+                    return;
+                }
+                length = Number( buffer.readBigUInt64BE( 2 ) );
+                offset = 10;
+            }
+            if ( buffer.length < offset + 4 + length ) {
+                return;
+            }
+            mask = buffer.slice( offset, offset + 4 );
+            payload = Buffer.alloc( length );
+            for ( i = 0; i < length; i += 1 ) {
+                payload[i] = buffer[ offset + 4 + i ] ^ mask[ i % 4 ];
+            }
+            callback( buffer[0] & 0x0f, payload );
+            buffer = buffer.slice( offset + 4 + length );
+        }
+    });
+};
+
+// --- JMAP over the socket ---
+
+var answerRequest = function ( socket, authorization, message ) {
+    var id = message.id;
+    var body = Object.assign( {}, message );
+    delete body[ '@type' ];
+    delete body.id;
+    fetch( session.apiUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': authorization,
+        },
+        body: JSON.stringify( body ),
+    }).then( function ( upstream ) {
+        return upstream.json().catch( function () {
+            return {};
+        }).then( function ( data ) {
+            log( 'request', id, upstream.status );
+            sendJSON( socket, upstream.ok ? Object.assign({
+                '@type': 'Response',
+                requestId: id,
+            }, data ) : Object.assign({
+                type: 'about:blank',
+            }, data, {
+                '@type': 'RequestError',
+                requestId: id,
+                status: upstream.status,
+            }) );
+        });
+    }).catch( function ( error ) {
+        log( 'request', id, 'failed:', error.message );
+        socket.destroy();
+    });
+};
+
+// Relays the real server's EventSource until aborted. Each "state" event's
+// data is already a StateChange object (RFC 8620, section 7.3).
+var relayPush = function ( socket, authorization ) {
+    var controller = new AbortController();
+    var url = session.eventSourceUrl
+        .replace( '{types}', '*' )
+        .replace( '{closeafter}', 'no' )
+        .replace( '{ping}', '0' );
+    fetch( url, {
+        headers: {
+            'Accept': 'text/event-stream',
+            'Authorization': authorization,
+        },
+        signal: controller.signal,
+    }).then( function ( upstream ) {
+        var decoder = new TextDecoder();
+        var text = '';
+        var reader = upstream.body.getReader();
+        var read = function () {
+            return reader.read().then( function ( chunk ) {
+                var events;
+                if ( chunk.done ) {
+                    return;
+                }
+                text += decoder.decode( chunk.value, { stream: true } );
+                events = text.split( /\r?\n\r?\n/ );
+                text = events.pop();
+                events.forEach( function ( event ) {
+                    var isState = /^event: ?state$/m.test( event );
+                    var data = /^data: ?(.*)$/m.exec( event );
+                    if ( isState && data ) {
+                        log( 'push', data[1] );
+                        sendJSON( socket, JSON.parse( data[1] ) );
+                    }
+                });
+                return read();
+            });
+        };
+        return read();
+    }).catch( function ( error ) {
+        if ( error.name !== 'AbortError' ) {
+            log( 'push failed:', error.message );
+        }
+    });
+    return controller;
+};
+
+var acceptSocket = function ( request, socket ) {
+    var protocols = ( request.headers[ 'sec-websocket-protocol' ] || '' )
+        .split( /\s*,\s*/ );
+    var token = new URL( request.url, 'http://localhost' )
+        .searchParams.get( 'access_token' );
+    var authorization = token ? 'Bearer ' + token : lastAuthorization;
+    var push = null;
+    if ( !session || !protocols.includes( 'jmap' ) ) {
+        socket.end( 'HTTP/1.1 400 Bad Request\r\n\r\n' );
+        return;
+    }
+    socket.write( [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + crypto.createHash( 'sha1' )
+            .update( request.headers[ 'sec-websocket-key' ] + WEBSOCKET_GUID )
+            .digest( 'base64' ),
+        'Sec-WebSocket-Protocol: jmap',
+        '', '',
+    ].join( '\r\n' ) );
+    sockets.add( socket );
+    log( 'socket opened' );
+    socket.on( 'close', function () {
+        sockets.delete( socket );
+        if ( push ) {
+            push.abort();
+        }
+        log( 'socket closed' );
+    });
+    socket.on( 'error', function () {} );
+    readFrames( socket, function ( opcode, payload ) {
+        var message;
+        // Close
+        if ( opcode === 8 ) {
+            sendFrame( socket, 8, payload.slice( 0, 2 ) );
+            socket.end();
+            return;
+        }
+        // Ping
+        if ( opcode === 9 ) {
+            sendFrame( socket, 10, payload );
+            return;
+        }
+        try {
+            message = JSON.parse( payload.toString() );
+        } catch ( error ) {
+            return;
+        }
+        switch ( message[ '@type' ] ) {
+        case 'Request':
+            answerRequest( socket, authorization, message );
+            break;
+        case 'WebSocketPushEnable':
+            if ( !push && session.eventSourceUrl ) {
+                push = relayPush( socket, authorization );
+            }
+            break;
+        case 'WebSocketPushDisable':
+            if ( push ) {
+                push.abort();
+                push = null;
+            }
+            break;
+        }
+    });
+};
+
+// ---
+
+if ( !sessionUrl ) {
+    console.log( 'Usage: node tools/socket-server.js <session URL> [port]' );
+    process.exit( 1 );
+}
+
+http.createServer( function ( request, response ) {
+    if ( request.method === 'OPTIONS' ) {
+        response.writeHead( 204, CORS_HEADERS );
+        response.end();
+    } else if ( request.method === 'GET' ) {
+        serveSession( request, response );
+    } else {
+        response.writeHead( 405, CORS_HEADERS );
+        response.end();
+    }
+}).on( 'upgrade', acceptSocket ).listen( port, function () {
+    log( 'Session URL: http://localhost:' + port + '/' );
+});
+
+process.stdin.on( 'data', function () {
+    log( 'dropping ' + sockets.size + ' socket(s)' );
+    sockets.forEach( function ( socket ) {
+        socket.destroy();
+    });
+});